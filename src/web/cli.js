@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+// Command line entry point to check or update a single container by hand, outside the
+// web server's schedule, through the same Node.js engine as the web interface.
+//
+// Usage: node src/web/cli.js check <container-name> [--host <host-id>]
+//        node src/web/cli.js update <container-name> [--host <host-id>]
+//
+// Without --host the container is looked up on the local Docker daemon.
+// The check or update result is printed to stdout as JSON on the last line, after any service logging;
+// usage errors go to stderr.
+
+const dockerService = require('./services/dockerService');
+const historyService = require('./services/historyService');
+const notificationService = require('./services/notificationService');
+
+async function check(docker, containerName) {
+    const checkStarted = Date.now();
+    try {
+        const containerInfo = await docker.inspectContainer(containerName);
+        const result = await docker.checkForUpdates(containerInfo.Id);
+        historyService.record({
+            action: 'update-check',
+            container: containerName,
+            host: docker.host.id,
+            trigger: 'cli',
+            outcome: result.updateAvailable ? 'update-available' : 'up-to-date',
+            oldImage: { id: result.currentImageId, digest: result.currentDigest },
+            newImage: { digest: result.latestDigest },
+            durationMs: Date.now() - checkStarted,
+            message: result.message
+        });
+        process.stdout.write(JSON.stringify(result) + '\n');
+        return 0;
+    } catch (error) {
+        historyService.record({
+            action: 'update-check',
+            container: containerName,
+            host: docker.host.id,
+            trigger: 'cli',
+            outcome: 'failure',
+            durationMs: Date.now() - checkStarted,
+            message: error.message
+        });
+        process.stdout.write(JSON.stringify({ updateAvailable: false, error: error.message }) + '\n');
+        return 1;
+    }
+}
+
+async function update(docker, containerName) {
+    try {
+        const result = await docker.updateContainer(containerName);
+        historyService.recordUpdate(result, 'cli');
+        await notificationService.notifyUpdate(containerName, result);
+        process.stdout.write(JSON.stringify(result) + '\n');
+        return 0;
+    } catch (error) {
+        historyService.recordUpdate(error.result, 'cli');
+        await notificationService.notifyUpdate(containerName, error.result, error);
+        process.stdout.write(JSON.stringify(error.result || { success: false, error: error.message }) + '\n');
+        return 1;
+    }
+}
+
+const commands = { check, update };
+
+async function main(argv) {
+    const hostIndex = argv.indexOf('--host');
+    const hostId = hostIndex === -1 ? null : argv[hostIndex + 1];
+    const [command, containerName] = hostIndex === -1 ? argv : argv.filter((arg, index) => index !== hostIndex && index !== hostIndex + 1);
+
+    if (!commands[command] || !containerName || (hostIndex !== -1 && !hostId)) {
+        process.stderr.write('Usage: cli.js <check|update> <container-name> [--host <host-id>]\n');
+        return 2;
+    }
+
+    let docker;
+    try {
+        docker = dockerService.forHost(hostId);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        return 2;
+    }
+
+    return commands[command](docker, containerName);
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
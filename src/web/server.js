@@ -13,6 +13,22 @@ require('dotenv').config();
 const dockerService = require('./services/dockerService');
 const authService = require('./services/authService');
 const webhookService = require('./services/webhookService');
+const historyService = require('./services/historyService');
+const credentialService = require('./services/credentialService');
+const registryService = require('./services/registryService');
+const schedulerService = require('./services/schedulerService');
+const notificationService = require('./services/notificationService');
+const eventService = require('./services/eventService');
+const hostService = require('./services/hostService');
+const oidcService = require('./services/oidcService');
+const tokenService = require('./services/tokenService');
+const composeService = require('./services/composeService');
+const scanService = require('./services/scanService');
+const metricsService = require('./services/metricsService');
+const statsService = require('./services/statsService');
+const imageService = require('./services/imageService');
+const backupService = require('./services/backupService');
+const { version } = require('../../package.json');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -51,7 +67,8 @@ app.use('/node_modules', express.static(path.join(__dirname, '../../node_modules
 }));
 
 // Body parsing middleware
-app.use(bodyParser.json());
+// Keep the raw body for webhook signature checks, which must match the exact bytes that were signed
+app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Session middleware
@@ -72,9 +89,25 @@ app.set('views', path.join(__dirname, 'views'));
 // Static files
 app.use('/static', express.static(path.join(__dirname, 'public')));
 
-// Middleware to check if user is authenticated
+// Middleware to check if user is authenticated: a session, or a personal API token on API routes
 const requireAuth = (req, res, next) => {
-    if (req.session && req.session.user) {
+    const authorization = req.get('Authorization') || '';
+    if (req.path.startsWith('/api/') && authorization.startsWith('Bearer ')) {
+        const result = tokenService.authenticate(authorization.substring(7).trim());
+        if (!result) {
+            return res.status(401).json({ error: 'Invalid API token' });
+        }
+        req.user = result.user;
+        req.apiToken = result.token;
+        return next();
+    }
+
+    // Re-read the user so role changes and deletions apply to existing sessions
+    const user = req.session && req.session.user && authService.getUser(req.session.user.id);
+    if (user) {
+        req.session.user = user;
+        req.user = user;
+        res.locals.can = (permission) => authService.hasPermission(user, permission);
         return next();
     }
     // If it's an API request, return JSON error
@@ -85,26 +118,151 @@ const requireAuth = (req, res, next) => {
     res.redirect('/login');
 };
 
+// Middleware to restrict a route to roles holding a permission (see authService); API tokens
+// additionally need a scope that grants it
+const requirePermission = (permission) => (req, res, next) => {
+    if (authService.hasPermission(req.user, permission) && (!req.apiToken || tokenService.allows(req.apiToken, permission))) {
+        return next();
+    }
+    if (req.path.startsWith('/api/')) {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    res.redirect('/');
+};
+
+// Middleware for routes that API tokens may not use (account and token management)
+const requireSession = (req, res, next) => {
+    if (req.apiToken) {
+        return res.status(403).json({ error: 'Not available with API tokens' });
+    }
+    next();
+};
+
+// Middleware for host-wide actions such as the image cleanup, which tokens limited to certain
+// containers may not run
+const requireAllContainers = (req, res, next) => {
+    if (req.apiToken && req.apiToken.containers.length > 0) {
+        return res.status(403).json({ error: 'Not available with API tokens limited to certain containers' });
+    }
+    next();
+};
+
+// Container list filters from the query string: label ("key" or "key=value"), state and compose project
+const getContainerFilters = (query) => ({
+    label: typeof query.label === 'string' ? query.label.trim() : '',
+    state: typeof query.state === 'string' ? query.state : '',
+    project: typeof query.project === 'string' ? query.project : ''
+});
+
+// Routes under /api/hosts/:hostId act on that Docker host; the others act on the local host
+app.param('hostId', (req, res, next, hostId) => {
+    try {
+        req.docker = dockerService.forHost(hostId);
+        next();
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+const getDocker = (req) => req.docker || dockerService;
+
+// Middleware for routes on one container: API tokens limited to certain containers may only
+// address those, by name or ID
+const requireContainerAccess = async (req, res, next) => {
+    const ref = req.params.name || req.params.id;
+    if (!req.apiToken || tokenService.allowsContainer(req.apiToken, ref)) {
+        return next();
+    }
+    try {
+        const info = await getDocker(req).inspectContainer(ref);
+        if (tokenService.allowsContainer(req.apiToken, info.Name.replace(/^\//, ''))) {
+            return next();
+        }
+    } catch (error) {
+        // Unknown containers are refused like any other container outside the token's list
+    }
+    res.status(403).json({ error: `This API token cannot access container ${ref}` });
+};
+
+// Whether the request may see a container: sessions see all, API tokens only the containers they list
+const canSeeContainer = (req, containerName) => !req.apiToken || tokenService.allowsContainer(req.apiToken, containerName);
+
+// Schedule status limited to the containers the request may see; keys are "<host>/<name>" on remote hosts
+const getVisibleSchedule = async (req) => {
+    const status = await schedulerService.getStatus();
+    if (!req.apiToken) {
+        return status;
+    }
+    const visibleKey = (key) => canSeeContainer(req, key.split('/').pop());
+    return {
+        ...status,
+        pausedContainers: status.pausedContainers.filter(visibleKey),
+        skipNext: status.skipNext.filter(visibleKey),
+        containers: status.containers.filter(container => canSeeContainer(req, container.name))
+    };
+};
+
+// History trigger for actions taken through the web interface or with an API token
+const getTrigger = (req) => (req.apiToken ? 'api' : 'dashboard');
+
 // Routes
-app.get('/', requireAuth, async (req, res) => {
+app.get('/', requireAuth, requirePermission('containers:view'), async (req, res) => {
+    const filters = getContainerFilters(req.query);
+    const hostId = typeof req.query.host === 'string' ? req.query.host : '';
+    const hosts = hostService.listHosts().filter(host => host.enabled && !host.unavailable);
     try {
-        const containers = await dockerService.getContainersWithUpdateStatus();        res.render('dashboard', { 
-            user: req.session.user,
+        const { containers, projects, errors } = await dockerService.getContainerOverview(filters, hostId || null);
+        res.render('dashboard', { 
+            user: req.user,
             containers: containers,
+            stacks: composeService.groupStacks(containers),
+            filters,
+            projects,
+            hosts,
+            hostId,
+            hostErrors: errors,
+            scanner: scanService.getConfig(),
+            statsSampling: statsService.getConfig(),
             title: 'ContainerPulse - Container Monitoring Dashboard'
         });
     } catch (error) {
         console.error('Dashboard error:', error);        res.render('dashboard', { 
-            user: req.session.user,
+            user: req.user,
             containers: [],
+            stacks: [],
+            filters,
+            projects: [],
+            hosts,
+            hostId,
+            hostErrors: [],
+            scanner: scanService.getConfig(),
+            statsSampling: statsService.getConfig(),
             error: 'Failed to load container information',
             title: 'ContainerPulse - Container Monitoring Dashboard'
         });
     }
 });
 
+app.get('/settings', requireAuth, requirePermission('settings:manage'), (req, res) => {
+    res.render('settings', {
+        user: req.user,
+        credentialsSecretMissing: !credentialService.isConfigured(),
+        jwtSecretMissing: !webhookService.isConfigured(),
+        title: 'Settings - ContainerPulse'
+    });
+});
+
+// Login page with the single sign-on button when OIDC is configured
+const renderLogin = (res, error) => {
+    res.render('login', {
+        error,
+        oidc: oidcService.isEnabled() ? { name: oidcService.getProviderName() } : null,
+        title: 'Login - ContainerPulse'
+    });
+};
+
 app.get('/login', (req, res) => {
-    res.render('login', { title: 'Login - ContainerPulse' });
+    renderLogin(res);
 });
 
 app.post('/login', async (req, res) => {
@@ -112,19 +270,65 @@ app.post('/login', async (req, res) => {
     
     try {
         const user = await authService.authenticate(username, password);
+        historyService.record({
+            action: 'login',
+            trigger: 'login',
+            actor: username,
+            outcome: user ? 'success' : 'failure',
+            details: { ip: req.ip }
+        });
         if (user) {
             req.session.user = user;
             res.redirect('/');
-        } else {            res.render('login', { 
-                error: 'Invalid username or password',
-                title: 'Login - ContainerPulse'
-            });
+        } else {
+            renderLogin(res, 'Invalid username or password');
         }
     } catch (error) {
-        console.error('Login error:', error);        res.render('login', { 
-            error: 'Login failed. Please try again.',
-            title: 'Login - ContainerPulse'
+        console.error('Login error:', error);
+        renderLogin(res, 'Login failed. Please try again.');
+    }
+});
+
+// OpenID Connect: redirect to the identity provider, which sends the browser back to the callback
+app.get('/auth/oidc/login', async (req, res) => {
+    if (!oidcService.isEnabled()) {
+        return res.redirect('/login');
+    }
+    try {
+        const redirectUri = process.env.OIDC_REDIRECT_URI || `${req.protocol}://${req.get('host')}/auth/oidc/callback`;
+        const { url, pending } = await oidcService.createAuthorizationRequest(redirectUri);
+        req.session.oidc = pending;
+        res.redirect(url);
+    } catch (error) {
+        console.error('OIDC login error:', error.message);
+        renderLogin(res, 'Single sign-on is currently unavailable');
+    }
+});
+
+app.get('/auth/oidc/callback', async (req, res) => {
+    const pending = req.session.oidc;
+    delete req.session.oidc;
+    try {
+        const user = await oidcService.login(req.query, pending);
+        historyService.record({
+            action: 'login',
+            trigger: 'oidc',
+            actor: user.username,
+            outcome: 'success',
+            details: { ip: req.ip }
+        });
+        req.session.user = user;
+        res.redirect('/');
+    } catch (error) {
+        console.error('OIDC callback error:', error.message);
+        historyService.record({
+            action: 'login',
+            trigger: 'oidc',
+            outcome: 'failure',
+            message: error.message,
+            details: { ip: req.ip }
         });
+        renderLogin(res, `Single sign-on failed: ${error.message}`);
     }
 });
 
@@ -133,43 +337,164 @@ app.get('/logout', (req, res) => {
     res.redirect('/login');
 });
 
+// Own account: every role can change its password
+app.get('/account', requireAuth, (req, res) => {
+    res.render('account', {
+        user: req.user,
+        title: 'Account - ContainerPulse'
+    });
+});
+
+app.get('/tokens', requireAuth, (req, res) => {
+    res.render('tokens', {
+        user: req.user,
+        title: 'API Tokens - ContainerPulse'
+    });
+});
+
 // API Routes
-app.get('/api/containers', requireAuth, async (req, res) => {
+// Containers of all enabled hosts, or of one host under /api/hosts/:hostId/containers
+app.get(['/api/containers', '/api/hosts/:hostId/containers'], requireAuth, requirePermission('containers:view'), async (req, res) => {
     try {
-        const containers = await dockerService.getContainersWithUpdateStatus();
-        res.json(containers);
+        const filters = getContainerFilters(req.query);
+        const containers = req.docker
+            ? await req.docker.getContainersWithUpdateStatus(filters)
+            : (await dockerService.getContainerOverview(filters)).containers;
+        res.json(req.apiToken ? containers.filter(container => tokenService.allowsContainer(req.apiToken, container.name)) : containers);
     } catch (error) {
         console.error('API containers error:', error);
         res.status(500).json({ error: 'Failed to fetch containers' });
     }
 });
 
-app.post('/api/containers/:name/update', requireAuth, async (req, res) => {
+// Inventory in the inventory.json format of earlier versions; includes container environments, so admin only
+app.get(['/api/inventory/export', '/api/hosts/:hostId/inventory/export'], requireAuth, requirePermission('inventory:export'), async (req, res) => {
+    try {
+        const inventory = await getDocker(req).exportInventory(getContainerFilters(req.query));
+        res.attachment('inventory.json');
+        res.json(inventory);
+    } catch (error) {
+        console.error('API inventory export error:', error);
+        res.status(500).json({ error: 'Failed to export inventory' });
+    }
+});
+
+app.post(['/api/containers/:name/update', '/api/hosts/:hostId/containers/:name/update'], requireAuth, requirePermission('containers:update'), requireContainerAccess, async (req, res) => {
     try {
         const { name } = req.params;
-        const result = await dockerService.updateContainer(name);
-        res.json({ success: true, message: `Container ${name} update initiated`, result });
+        const result = await getDocker(req).updateContainer(name);
+        historyService.recordUpdate(result, getTrigger(req), req.user.username);
+        notificationService.notifyUpdate(name, result);
+        res.json(result);
     } catch (error) {
         console.error('Container update error:', error);
-        res.status(500).json({ error: `Failed to update container ${req.params.name}` });
+        historyService.recordUpdate(error.result, getTrigger(req), req.user.username);
+        notificationService.notifyUpdate(req.params.name, error.result, error);
+        res.status(500).json({
+            error: `Failed to update container ${req.params.name}: ${error.message}`,
+            result: error.result
+        });
     }
 });
 
-app.post('/api/containers/:id/check-update', requireAuth, async (req, res) => {
+// Dry run: what updating the given containers (default: every labelled container) would do
+app.post(['/api/updates/plan', '/api/hosts/:hostId/updates/plan'], requireAuth, requirePermission('containers:update'), async (req, res) => {
     try {
-        const containerId = req.params.id;
-        const result = await dockerService.checkForUpdates(containerId);
+        let names = Array.isArray(req.body.containers) ? req.body.containers.map(String) : [];
+        if (req.apiToken) {
+            const denied = names.find(name => !tokenService.allowsContainer(req.apiToken, name));
+            if (denied) {
+                return res.status(403).json({ error: `This API token cannot access container ${denied}` });
+            }
+            if (names.length === 0) {
+                names = req.apiToken.containers;
+            }
+        }
+
+        res.json(await schedulerService.planUpdates(req.params.hostId || null, names));
+    } catch (error) {
+        console.error('Update plan error:', error);
+        res.status(500).json({ error: `Failed to plan updates: ${error.message}` });
+    }
+});
+
+// Compose projects with their containers in update order
+app.get(['/api/stacks', '/api/hosts/:hostId/stacks'], requireAuth, requirePermission('containers:view'), async (req, res) => {
+    try {
+        const containers = req.docker
+            ? await req.docker.getContainersWithUpdateStatus()
+            : (await dockerService.getContainerOverview()).containers;
+        const visible = req.apiToken ? containers.filter(container => tokenService.allowsContainer(req.apiToken, container.name)) : containers;
+        res.json(composeService.groupStacks(visible).filter(stack => stack.project));
+    } catch (error) {
+        console.error('API stacks error:', error);
+        res.status(500).json({ error: 'Failed to fetch compose stacks' });
+    }
+});
+
+// Update every service of a compose project in dependency order
+app.post(['/api/stacks/:project/update', '/api/hosts/:hostId/stacks/:project/update'], requireAuth, requirePermission('containers:update'), async (req, res) => {
+    const docker = getDocker(req);
+    const { project } = req.params;
+    try {
+        if (req.apiToken) {
+            const containers = (await docker.getInventoryContainers()).filter(container => container.composeProject === project);
+            const denied = containers.find(container => !tokenService.allowsContainer(req.apiToken, container.name));
+            if (denied) {
+                return res.status(403).json({ error: `This API token cannot access container ${denied.name}` });
+            }
+        }
+
+        const result = await docker.updateStack(project, (containerResult, error) => {
+            historyService.recordUpdate(containerResult, getTrigger(req), req.user.username);
+            notificationService.notifyUpdate(containerResult?.containerName, containerResult, error);
+        });
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        console.error('Stack update error:', error);
+        res.status(500).json({ error: `Failed to update stack ${project}: ${error.message}` });
+    }
+});
+
+app.post(['/api/containers/:id/check-update', '/api/hosts/:hostId/containers/:id/check-update'], requireAuth, requirePermission('containers:update'), requireContainerAccess, async (req, res) => {
+    const containerId = req.params.id;
+    const docker = getDocker(req);
+    const checkStarted = Date.now();
+    try {
+        const result = await docker.checkForUpdates(containerId);
+        historyService.record({
+            action: 'update-check',
+            container: result.containerName.replace(/^\//, ''),
+            host: docker.host.id,
+            trigger: getTrigger(req),
+            actor: req.user.username,
+            outcome: result.updateAvailable ? 'update-available' : 'up-to-date',
+            oldImage: { id: result.currentImageId, digest: result.currentDigest },
+            newImage: { digest: result.latestDigest },
+            durationMs: Date.now() - checkStarted,
+            message: result.message
+        });
         res.json(result);
     } catch (error) {
         console.error('Error checking for updates:', error);
+        historyService.record({
+            action: 'update-check',
+            container: containerId,
+            host: docker.host.id,
+            trigger: getTrigger(req),
+            actor: req.user.username,
+            outcome: 'failure',
+            durationMs: Date.now() - checkStarted,
+            message: error.message
+        });
         res.status(500).json({ error: error.message });
     }
 });
 
-app.get('/api/containers/:id/inspect', requireAuth, async (req, res) => {
+app.get(['/api/containers/:id/inspect', '/api/hosts/:hostId/containers/:id/inspect'], requireAuth, requirePermission('containers:view'), requireContainerAccess, async (req, res) => {
     try {
         const containerId = req.params.id;
-        const containerInfo = await dockerService.inspectContainer(containerId);
+        const containerInfo = await getDocker(req).inspectContainer(containerId);
         res.json(containerInfo);
     } catch (error) {
         console.error('Error inspecting container:', error);
@@ -177,10 +502,618 @@ app.get('/api/containers/:id/inspect', requireAuth, async (req, res) => {
     }
 });
 
+// Container logs as JSON entries, or with follow=true as a server-sent event stream of "log"
+// events ending with an "end" event when the container stops
+app.get(['/api/containers/:id/logs', '/api/hosts/:hostId/containers/:id/logs'], requireAuth, requirePermission('containers:view'), requireContainerAccess, async (req, res) => {
+    const docker = getDocker(req);
+    let options;
+    try {
+        options = docker.parseLogOptions(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    if (req.query.follow !== 'true') {
+        try {
+            return res.json(await docker.getContainerLogs(req.params.id, options));
+        } catch (error) {
+            console.error('Error fetching container logs:', error);
+            return res.status(error.statusCode === 404 ? 404 : 500).json({ error: error.message });
+        }
+    }
+
+    let stop;
+    try {
+        stop = await docker.followContainerLogs(req.params.id, options,
+            (entry) => res.write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`),
+            (error) => {
+                res.write(`event: end\ndata: ${JSON.stringify({ error: error ? error.message : null })}\n\n`);
+                res.end();
+            });
+    } catch (error) {
+        console.error('Error following container logs:', error);
+        return res.status(error.statusCode === 404 ? 404 : 500).json({ error: error.message });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    // Comments keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+    res.on('close', () => {
+        clearInterval(keepAlive);
+        stop();
+    });
+});
+
+// Differences between a container's image and the image an update would bring
+app.get(['/api/containers/:id/image-diff', '/api/hosts/:hostId/containers/:id/image-diff'], requireAuth, requirePermission('containers:view'), requireContainerAccess, async (req, res) => {
+    try {
+        res.json(await getDocker(req).getImageDiff(req.params.id));
+    } catch (error) {
+        console.error('Error comparing images:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Vulnerability scan summary of a container's image; POST scans the image again
+app.get(['/api/containers/:id/scan', '/api/hosts/:hostId/containers/:id/scan'], requireAuth, requirePermission('containers:view'), requireContainerAccess, async (req, res) => {
+    try {
+        res.json(await getDocker(req).getContainerScan(req.params.id));
+    } catch (error) {
+        console.error('Error fetching vulnerability scan:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post(['/api/containers/:id/scan', '/api/hosts/:hostId/containers/:id/scan'], requireAuth, requirePermission('containers:update'), requireContainerAccess, async (req, res) => {
+    try {
+        res.json(await getDocker(req).getContainerScan(req.params.id, { scan: true }));
+    } catch (error) {
+        console.error('Vulnerability scan error:', error);
+        res.status(500).json({ error: `Failed to scan ${req.params.id}: ${error.message}` });
+    }
+});
+
+// Resource usage samples of the last STATS_RETENTION seconds, with usage before and after recent updates
+app.get(['/api/containers/:id/stats', '/api/hosts/:hostId/containers/:id/stats'], requireAuth, requirePermission('containers:view'), requireContainerAccess, async (req, res) => {
+    const docker = getDocker(req);
+    try {
+        const containerInfo = await docker.inspectContainer(req.params.id);
+        res.json({
+            ...statsService.getStats(docker.host.id, containerInfo.Name.replace(/^\//, '')),
+            running: containerInfo.State.Running && !containerInfo.State.Paused,
+            enabled: statsService.isEnabled()
+        });
+    } catch (error) {
+        console.error('Error fetching container stats:', error);
+        res.status(error.statusCode === 404 ? 404 : 500).json({ error: error.message });
+    }
+});
+
+// Record a lifecycle action on a container in the history
+const recordContainerAction = (req, docker, action, container, error, message) => {
+    historyService.record({
+        action,
+        container,
+        host: docker.host.id,
+        trigger: getTrigger(req),
+        actor: req.user.username,
+        outcome: error ? 'failure' : 'success',
+        message: error ? error.message : message
+    });
+};
+
+// Docker's own client errors (404 unknown container, 409 conflict) and refused actions on protected
+// containers keep their status; anything else is a server error
+const getActionErrorStatus = (error) => (error.statusCode >= 400 && error.statusCode < 500 ? error.statusCode : 500);
+
+// Lifecycle actions; containers labelled containerpulse.protected=true cannot be stopped, restarted or paused
+app.post(['/api/containers/:id/:action(start|stop|restart|pause|unpause)', '/api/hosts/:hostId/containers/:id/:action(start|stop|restart|pause|unpause)'], requireAuth, requirePermission('containers:update'), requireContainerAccess, async (req, res) => {
+    const { id, action } = req.params;
+    const docker = getDocker(req);
+    try {
+        const result = await docker.runContainerAction(id, action);
+        recordContainerAction(req, docker, action, result.containerName, null, result.message);
+        res.json(result);
+    } catch (error) {
+        recordContainerAction(req, docker, action, id, error);
+        res.status(getActionErrorStatus(error)).json({ error: `Failed to ${action} container ${id}: ${error.message}` });
+    }
+});
+
+// Remove a container: ?force=true removes it while running, ?volumes=true also removes its anonymous volumes
+app.delete(['/api/containers/:id', '/api/hosts/:hostId/containers/:id'], requireAuth, requirePermission('containers:remove'), requireContainerAccess, async (req, res) => {
+    const { id } = req.params;
+    const docker = getDocker(req);
+    try {
+        const result = await docker.removeContainer(id, {
+            force: req.query.force === 'true',
+            volumes: req.query.volumes === 'true'
+        });
+        recordContainerAction(req, docker, 'remove', result.containerName, null, result.message);
+        res.json(result);
+    } catch (error) {
+        recordContainerAction(req, docker, 'remove', id, error);
+        res.status(getActionErrorStatus(error)).json({ error: `Failed to remove container ${id}: ${error.message}` });
+    }
+});
+
+// Volume backups of every container, optionally filtered by ?host= and ?container=
+app.get('/api/backups', requireAuth, requirePermission('containers:view'), (req, res) => {
+    try {
+        const backups = backupService.listBackups({ hostId: req.query.host || null, container: req.query.container || null })
+            .filter(backup => !req.apiToken || tokenService.allowsContainer(req.apiToken, backup.container));
+        res.json({ backups, ...backupService.getConfig() });
+    } catch (error) {
+        console.error('Error listing volume backups:', error);
+        res.status(getActionErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Backups are kept by container name, so those of a removed container can still be listed and deleted
+const getBackupContainerName = async (docker, ref) => {
+    try {
+        return (await docker.inspectContainer(ref)).Name.replace(/^\//, '');
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return ref;
+        }
+        throw error;
+    }
+};
+
+app.get(['/api/containers/:id/backups', '/api/hosts/:hostId/containers/:id/backups'], requireAuth, requirePermission('containers:view'), requireContainerAccess, async (req, res) => {
+    const docker = getDocker(req);
+    try {
+        const containerName = await getBackupContainerName(docker, req.params.id);
+        res.json({
+            container: containerName,
+            host: docker.host.id,
+            backups: backupService.listBackups({ hostId: docker.host.id, container: containerName }),
+            ...backupService.getConfig()
+        });
+    } catch (error) {
+        console.error('Error listing container backups:', error);
+        res.status(getActionErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Stop the container, restore its volumes from the backup and start it with the image it ran then
+app.post(['/api/containers/:id/backups/:backupId/restore', '/api/hosts/:hostId/containers/:id/backups/:backupId/restore'], requireAuth, requirePermission('backups:manage'), requireContainerAccess, async (req, res) => {
+    const { id, backupId } = req.params;
+    const docker = getDocker(req);
+    try {
+        const result = await docker.restoreVolumeBackup(id, backupId);
+
+        // Keep the scheduler from updating the container straight back to the image the backup predates
+        if (result.imageRestored) {
+            const key = schedulerService.getContainerKey(docker.host.id, result.containerName);
+            if (!schedulerService.settings.pausedContainers.includes(key)) {
+                schedulerService.updateSettings({ pausedContainers: [...schedulerService.settings.pausedContainers, key] });
+            }
+            result.message += '. Scheduled updates of the container are paused until you resume them';
+        }
+
+        historyService.record({
+            action: 'restore',
+            container: result.containerName,
+            host: docker.host.id,
+            trigger: getTrigger(req),
+            actor: req.user.username,
+            outcome: 'success',
+            oldImage: result.imageRestored ? { id: result.oldImageId } : undefined,
+            newImage: result.imageRestored ? { id: result.backup.imageId, digest: result.backup.digest } : undefined,
+            message: result.message,
+            details: { backup: result.backup.id, createdAt: result.backup.createdAt, mounts: result.backup.mounts.map(mount => mount.destination) }
+        });
+        res.json(result);
+    } catch (error) {
+        recordContainerAction(req, docker, 'restore', id, error);
+        res.status(getActionErrorStatus(error)).json({ error: `Failed to restore backup ${backupId} of ${id}: ${error.message}` });
+    }
+});
+
+app.delete(['/api/containers/:id/backups/:backupId', '/api/hosts/:hostId/containers/:id/backups/:backupId'], requireAuth, requirePermission('backups:manage'), requireContainerAccess, async (req, res) => {
+    const docker = getDocker(req);
+    try {
+        const containerName = await getBackupContainerName(docker, req.params.id);
+        res.json(backupService.deleteBackup(docker.host.id, containerName, req.params.backupId));
+    } catch (error) {
+        console.error('Error deleting volume backup:', error);
+        res.status(getActionErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Local images with size, tags, age, the containers using them and the retention policy's verdict,
+// for every enabled host or one host
+app.get(['/api/images', '/api/hosts/:hostId/images'], requireAuth, requirePermission('containers:view'), async (req, res) => {
+    const services = req.docker ? [req.docker] : dockerService.getHostServices();
+    try {
+        const hosts = await Promise.all(services.map(async (docker) => {
+            try {
+                const result = await imageService.getImages(docker);
+                if (req.apiToken) {
+                    result.images.forEach(image => {
+                        image.containers = image.containers.filter(name => tokenService.allowsContainer(req.apiToken, name));
+                    });
+                }
+                return result;
+            } catch (error) {
+                return { host: docker.host.id, hostName: docker.host.name, error: error.message, images: [] };
+            }
+        }));
+        res.json({ policy: imageService.getPolicy(schedulerService.settings.timezone), hosts });
+    } catch (error) {
+        console.error('API images error:', error);
+        res.status(500).json({ error: 'Failed to fetch images' });
+    }
+});
+
+app.get('/api/images/policy', requireAuth, requirePermission('containers:view'), (req, res) => {
+    res.json(imageService.getPolicy(schedulerService.settings.timezone));
+});
+
+app.put('/api/images/policy', requireAuth, requirePermission('images:manage'), requireAllContainers, (req, res) => {
+    try {
+        res.json(imageService.updatePolicy(req.body, schedulerService.settings.timezone));
+    } catch (error) {
+        console.error('Error updating image retention policy:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Apply the retention policy now; {"dryRun": true} only reports what would be removed
+app.post(['/api/images/cleanup', '/api/hosts/:hostId/images/cleanup'], requireAuth, requirePermission('images:manage'), requireAllContainers, async (req, res) => {
+    try {
+        res.json(await imageService.cleanup({
+            hostId: req.params.hostId || null,
+            dryRun: req.body.dryRun === true || req.query.dryRun === 'true',
+            trigger: getTrigger(req),
+            actor: req.user.username
+        }));
+    } catch (error) {
+        console.error('Image cleanup error:', error);
+        res.status(500).json({ error: `Failed to clean up images: ${error.message}` });
+    }
+});
+
+app.get('/api/history', requireAuth, requirePermission('containers:view'), async (req, res) => {
+    try {
+        const { container, host, action, from, to, limit, offset } = req.query;
+        const history = await historyService.query({
+            container, host, action, from, to, limit, offset,
+            allowsContainer: req.apiToken ? (name) => canSeeContainer(req, name) : null
+        });
+        res.json(history);
+    } catch (error) {
+        console.error('Error fetching history:', error);
+        res.status(500).json({ error: 'Failed to fetch history' });
+    }
+});
+
+// Registry credentials used for pulls and digest checks
+app.get('/api/registries', requireAuth, requirePermission('registries:manage'), (req, res) => {
+    try {
+        res.json(credentialService.listCredentials());
+    } catch (error) {
+        console.error('Error listing registry credentials:', error);
+        res.status(500).json({ error: 'Failed to list registry credentials' });
+    }
+});
+
+app.post('/api/registries', requireAuth, requirePermission('registries:manage'), (req, res) => {
+    try {
+        const { registry, username, password } = req.body;
+        const credential = credentialService.saveCredential(registry, username, password);
+        registryService.clearTokens();
+        res.status(201).json(credential);
+    } catch (error) {
+        console.error('Error saving registry credential:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/registries/:id', requireAuth, requirePermission('registries:manage'), (req, res) => {
+    try {
+        credentialService.deleteCredential(req.params.id);
+        registryService.clearTokens();
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting registry credential:', error);
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Own password change; requires the current password
+app.post('/api/account/password', requireAuth, requireSession, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        await authService.changePassword(req.user.id, currentPassword, newPassword);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Personal API tokens of the signed-in user; the token itself is only returned on creation
+app.get('/api/tokens', requireAuth, requireSession, (req, res) => {
+    res.json({ tokens: tokenService.listTokens(req.user.id), scopes: tokenService.getScopes(req.user) });
+});
+
+app.post('/api/tokens', requireAuth, requireSession, (req, res) => {
+    try {
+        res.status(201).json(tokenService.createToken(req.user, req.body));
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/tokens/:id', requireAuth, requireSession, (req, res) => {
+    try {
+        tokenService.revokeToken(req.params.id, req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// User accounts and their roles
+app.get('/api/users', requireAuth, requirePermission('users:manage'), (req, res) => {
+    res.json({ users: authService.getUsers(), roles: authService.getRoles() });
+});
+
+app.post('/api/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { username, password, role } = req.body;
+        res.status(201).json(await authService.createUser(username, password, role));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Change a user's role, set a new password or allow/remove a single sign-on link ({ role, password, ssoLink })
+app.put('/api/users/:id', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { role, password, ssoLink } = req.body;
+        res.json(await authService.updateUser(parseInt(req.params.id, 10), { role, password, ssoLink }));
+    } catch (error) {
+        res.status(error.message === 'User not found' ? 404 : 400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/users/:id', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    if (userId === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    try {
+        await authService.deleteUser(userId);
+        tokenService.revokeUserTokens(userId);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.message === 'User not found' ? 404 : 400).json({ error: error.message });
+    }
+});
+
+// Update schedule: global cron, maintenance windows, pause/skip controls and per-container next runs
+app.get('/api/schedule', requireAuth, requirePermission('containers:view'), async (req, res) => {
+    try {
+        res.json(await getVisibleSchedule(req));
+    } catch (error) {
+        console.error('Error getting schedule:', error);
+        res.status(500).json({ error: 'Failed to get schedule' });
+    }
+});
+
+app.put('/api/schedule', requireAuth, requirePermission('settings:manage'), async (req, res) => {
+    try {
+        schedulerService.updateSettings(req.body);
+    } catch (error) {
+        console.error('Error updating schedule:', error);
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        res.json(await getVisibleSchedule(req));
+    } catch (error) {
+        console.error('Error getting schedule:', error);
+        res.status(500).json({ error: 'Failed to get schedule' });
+    }
+});
+
+// Notification channels, event routing and templates
+app.get('/api/notifications', requireAuth, requirePermission('settings:manage'), (req, res) => {
+    try {
+        res.json({
+            channels: notificationService.listChannels(),
+            providers: notificationService.getProviders(),
+            events: notificationService.getEvents(),
+            templates: notificationService.getTemplates()
+        });
+    } catch (error) {
+        console.error('Error listing notification settings:', error);
+        res.status(500).json({ error: 'Failed to list notification settings' });
+    }
+});
+
+app.post('/api/notifications/channels', requireAuth, requirePermission('settings:manage'), (req, res) => {
+    try {
+        res.status(201).json(notificationService.saveChannel(req.body));
+    } catch (error) {
+        console.error('Error saving notification channel:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.put('/api/notifications/channels/:id', requireAuth, requirePermission('settings:manage'), (req, res) => {
+    try {
+        res.json(notificationService.updateChannel(req.params.id, req.body));
+    } catch (error) {
+        console.error('Error updating notification channel:', error);
+        res.status(error.message === 'Notification channel not found' ? 404 : 400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/notifications/channels/:id', requireAuth, requirePermission('settings:manage'), (req, res) => {
+    try {
+        notificationService.deleteChannel(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting notification channel:', error);
+        res.status(404).json({ error: error.message });
+    }
+});
+
+app.put('/api/notifications/templates/:event', requireAuth, requirePermission('settings:manage'), (req, res) => {
+    try {
+        const { title, body } = req.body;
+        res.json(notificationService.saveTemplate(req.params.event, title, body));
+    } catch (error) {
+        console.error('Error saving notification template:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Send a test notification to one channel ({ channelId }) or to every enabled channel
+app.post('/api/notifications/test', requireAuth, requirePermission('settings:manage'), async (req, res) => {
+    try {
+        const results = await notificationService.sendTest(req.body.channelId);
+        res.json({ success: results.length > 0 && results.every(result => result.success), results });
+    } catch (error) {
+        console.error('Error sending test notification:', error);
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Per-container webhook URLs; the URL with its token is only returned when it is minted
+app.get('/api/webhooks', requireAuth, requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const hosts = hostService.listHosts();
+        res.json(webhookService.listWebhooks().map(webhook => ({
+            ...webhook,
+            hostName: hosts.find(host => host.id === webhook.host)?.name || webhook.host
+        })));
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({ error: 'Failed to list webhooks' });
+    }
+});
+
+app.post('/api/webhooks', requireAuth, requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const { container, host, expiresInDays } = req.body;
+        const docker = dockerService.forHost(host);
+        const webhook = webhookService.createWebhook({ container, host: docker.host.id, expiresInDays }, req.user.username);
+        const url = `${req.protocol}://${req.get('host')}/webhook/${encodeURIComponent(webhook.container)}?token=${webhook.token}`;
+        res.status(201).json({ ...webhook, url });
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/webhooks/:id', requireAuth, requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        webhookService.revokeWebhook(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking webhook:', error);
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Live Docker container events and check/update progress as Server-Sent Events
+app.get('/api/events', requireAuth, requirePermission('containers:view'), (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = eventService.subscribe(({ type, data }) => {
+        if (req.apiToken) {
+            // Stats carry many containers; other events at most one, named once the container is known
+            if (type === 'stats') {
+                data = { ...data, samples: data.samples.filter(sample => canSeeContainer(req, sample.container)) };
+            } else if (!canSeeContainer(req, data.name || data.container)) {
+                return;
+            }
+        }
+        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    });
+    // Comments keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+    });
+});
+
+// Docker hosts with their connection status; secrets are masked
+app.get('/api/hosts', requireAuth, requirePermission('containers:view'), async (req, res) => {
+    try {
+        res.json({ hosts: await dockerService.getHostStatuses(), types: hostService.getTypes() });
+    } catch (error) {
+        console.error('Error listing Docker hosts:', error);
+        res.status(500).json({ error: 'Failed to list Docker hosts' });
+    }
+});
+
+app.post('/api/hosts', requireAuth, requirePermission('settings:manage'), (req, res) => {
+    try {
+        const host = hostService.saveHost(req.body);
+        if (host.enabled) {
+            dockerService.forHost(host.id).watchEvents();
+        }
+        res.status(201).json(host);
+    } catch (error) {
+        console.error('Error saving Docker host:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.put('/api/hosts/:id', requireAuth, requirePermission('settings:manage'), (req, res) => {
+    try {
+        const host = hostService.updateHost(req.params.id, req.body);
+        // Reconnect with the new settings
+        dockerService.removeHost(host.id);
+        if (host.enabled) {
+            dockerService.forHost(host.id).watchEvents();
+        }
+        res.json(host);
+    } catch (error) {
+        console.error('Error updating Docker host:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/hosts/:id', requireAuth, requirePermission('settings:manage'), (req, res) => {
+    try {
+        hostService.deleteHost(req.params.id);
+        dockerService.removeHost(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting Docker host:', error);
+        res.status(404).json({ error: error.message });
+    }
+});
+
 // Test Docker connectivity endpoint
-app.get('/api/docker/status', requireAuth, async (req, res) => {
+app.get(['/api/docker/status', '/api/hosts/:hostId/status'], requireAuth, requirePermission('containers:view'), async (req, res) => {
     try {
-        const status = await dockerService.testConnection();
+        const status = await getDocker(req).testConnection();
         res.json(status);
     } catch (error) {
         console.error('Error testing Docker connection:', error);
@@ -188,16 +1121,36 @@ app.get('/api/docker/status', requireAuth, async (req, res) => {
     }
 });
 
-// Webhook endpoint for external triggers (DockerHub, GitHub, etc.)
+// Webhook endpoint for external triggers (DockerHub, GitHub, etc.). Minted webhook URLs may target a
+// container on another Docker host; provider payloads only trigger an update when they match its image.
 app.post('/webhook/:containerName', webhookService.authenticateWebhook, async (req, res) => {
+    const { containerName } = req.params;
+    const auth = req.webhookAuth;
+    let docker = dockerService;
     try {
-        const { containerName } = req.params;
-        const { repository, tag } = req.body;
+        docker = dockerService.forHost(auth.host);
+        const push = webhookService.parsePayload(req);
         
         console.log(`Webhook received for container: ${containerName}`);
-        console.log(`Repository: ${repository}, Tag: ${tag}`);
+        console.log(`Provider: ${push.provider}, Repository: ${push.repository}, Tag: ${push.tag}`);
+        if (auth.webhookId) {
+            webhookService.markWebhookUsed(auth.webhookId);
+        }
+
+        const info = await docker.inspectContainer(containerName);
+        const labels = info.Config.Labels || {};
+        const mismatch = labels['update-approach'] === 'notify'
+            ? 'update-approach=notify: updates are only notified'
+            : webhookService.matchPush(push, info.Config.Image, labels, { authenticated: auth.method !== 'none' });
+        if (mismatch) {
+            webhookService.logWebhookCall(containerName, auth.method, { ...auth, ...push, host: docker.host.id, message: mismatch }, 'skipped');
+            return res.json({ success: true, skipped: true, message: mismatch });
+        }
         
-        const result = await dockerService.updateContainer(containerName);
+        const result = await docker.updateContainer(containerName, { automatic: true });
+        webhookService.logWebhookCall(containerName, auth.method, { ...auth, ...push, host: docker.host.id }, 'success');
+        historyService.recordUpdate(result, 'webhook', auth.ip || auth.method);
+        notificationService.notifyUpdate(containerName, result);
         res.json({ 
             success: true, 
             message: `Update triggered for ${containerName}`,
@@ -205,6 +1158,9 @@ app.post('/webhook/:containerName', webhookService.authenticateWebhook, async (r
         });
     } catch (error) {
         console.error('Webhook error:', error);
+        webhookService.logWebhookCall(containerName, auth.method, { ...auth, host: docker.host.id, error: error.message }, 'failure');
+        historyService.recordUpdate(error.result, 'webhook', auth.ip || auth.method);
+        notificationService.notifyUpdate(containerName, error.result, error);
         res.status(500).json({ error: 'Webhook processing failed' });
     }
 });
@@ -214,10 +1170,45 @@ app.get('/health', (req, res) => {
     res.json({ 
         status: 'healthy', 
         timestamp: new Date().toISOString(),
-        version: '1.0.0'
+        version
     });
 });
 
+// Prometheus metrics; with METRICS_TOKEN set, scrapers must send it as a bearer token
+const requireMetricsToken = (req, res, next) => {
+    const expected = process.env.METRICS_TOKEN;
+    if (!expected) {
+        return next();
+    }
+    const authorization = req.get('Authorization') || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : '';
+    const hash = (value) => crypto.createHash('sha256').update(value).digest();
+    if (!crypto.timingSafeEqual(hash(token), hash(expected))) {
+        res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+        return res.status(401).send('Unauthorized\n');
+    }
+    next();
+};
+
+app.get('/metrics', requireMetricsToken, async (req, res) => {
+    try {
+        const hosts = await Promise.all(dockerService.getHostServices().map(async (service) => {
+            try {
+                return { hostName: service.host.name, containers: await service.getInventoryContainers() };
+            } catch (error) {
+                return { hostName: service.host.name, error };
+            }
+        }));
+        metricsService.setSnapshot(hosts, registryService.getRateLimits());
+
+        res.set('Content-Type', metricsService.contentType);
+        res.send(await metricsService.render());
+    } catch (error) {
+        console.error('Metrics error:', error);
+        res.status(500).send(`Failed to collect metrics: ${error.message}\n`);
+    }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Unhandled error:', err);
@@ -233,6 +1224,9 @@ app.listen(PORT, () => {
     console.log(`ContainerPulse Web Interface running on port ${PORT}`);
     console.log(`Dashboard: http://localhost:${PORT}`);
     console.log(`Default login: admin/admin123 (change these!)`);
+    schedulerService.start();
+    statsService.start(() => dockerService.getHostServices());
+    dockerService.getHostServices().forEach(service => service.watchEvents());
     console.log('🔥 Hot reloading is active - file changes will restart the server automatically!');
 });
 
@@ -1,26 +1,111 @@
+const fs = require('fs');
+const path = require('path');
 const bcrypt = require('bcryptjs');
 
+const USERS_FILE = process.env.USERS_FILE || '/var/lib/containerpulse/users.json';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Roles from least to most privileged; each role holds the permissions of the roles before it
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Lowest role holding each permission
+const PERMISSIONS = {
+    'containers:view': 'viewer',
+    'containers:update': 'operator',
+    'containers:remove': 'admin',
+    'backups:manage': 'admin',
+    'images:manage': 'admin',
+    'inventory:export': 'admin',
+    'registries:manage': 'admin',
+    'settings:manage': 'admin',
+    'users:manage': 'admin',
+    'webhooks:manage': 'admin'
+};
+
 class AuthService {
     constructor() {
-        // Default admin user - in production, this should be stored in a database
-        this.users = [
-            {
-                id: 1,
-                username: process.env.ADMIN_USERNAME || 'admin',
-                passwordHash: this.hashPassword(process.env.ADMIN_PASSWORD || 'admin123'),
-                role: 'admin'
+        this.users = this.loadUsers();
+
+        // First start: create the admin account from the environment
+        if (!this.users) {
+            this.users = [
+                {
+                    id: 1,
+                    username: process.env.ADMIN_USERNAME || 'admin',
+                    passwordHash: this.hashPassword(process.env.ADMIN_PASSWORD || 'admin123'),
+                    role: 'admin',
+                    createdAt: new Date().toISOString()
+                }
+            ];
+            try {
+                this.saveUsers();
+            } catch (error) {
+                console.error('Error saving users:', error);
             }
-        ];
+        }
+    }
+
+    // Stored users, or null when no users file exists yet. A corrupt file is an error rather
+    // than a reason to start over with the default admin.
+    loadUsers() {
+        if (!fs.existsSync(USERS_FILE)) {
+            return null;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+        } catch (error) {
+            console.error('Error reading users:', error);
+            throw error;
+        }
+    }
+
+    saveUsers() {
+        fs.mkdirSync(path.dirname(USERS_FILE), { recursive: true });
+        fs.writeFileSync(USERS_FILE, JSON.stringify(this.users, null, 2), { mode: 0o600 });
     }
 
     hashPassword(password) {
         return bcrypt.hashSync(password, 10);
     }
 
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+    }
+
+    // User without password hash
+    toPublicUser(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            sso: Boolean(user.oidc),
+            ssoLinkPending: Boolean(user.oidcLinkPending),
+            hasPassword: Boolean(user.passwordHash)
+        };
+    }
+
+    getRoles() {
+        return ROLES;
+    }
+
+    hasPermission(user, permission) {
+        const required = PERMISSIONS[permission];
+        return Boolean(user && required) && ROLES.indexOf(user.role) >= ROLES.indexOf(required);
+    }
+
     async authenticate(username, password) {
         try {
             const user = this.users.find(u => u.username === username);
-            if (!user) {
+            // Users provisioned through single sign-on have no password
+            if (!user || !user.passwordHash) {
                 return null;
             }
 
@@ -29,12 +114,7 @@ class AuthService {
                 return null;
             }
 
-            // Return user without password hash
-            return {
-                id: user.id,
-                username: user.username,
-                role: user.role
-            };
+            return this.toPublicUser(user);
         } catch (error) {
             console.error('Authentication error:', error);
             return null;
@@ -47,13 +127,18 @@ class AuthService {
             if (!user) {
                 throw new Error('User not found');
             }
+            if (!user.passwordHash) {
+                throw new Error('This account signs in through single sign-on and has no password');
+            }
 
-            const isValidPassword = bcrypt.compareSync(currentPassword, user.passwordHash);
+            const isValidPassword = bcrypt.compareSync(currentPassword || '', user.passwordHash);
             if (!isValidPassword) {
                 throw new Error('Current password is incorrect');
             }
+            this.validatePassword(newPassword);
 
             user.passwordHash = this.hashPassword(newPassword);
+            this.saveUsers();
             return true;
         } catch (error) {
             console.error('Password change error:', error);
@@ -61,34 +146,130 @@ class AuthService {
         }
     }
 
-    async createUser(username, password, role = 'user') {
+    async createUser(username, password, role = 'viewer') {
         try {
+            username = String(username || '').trim();
+            if (!username) {
+                throw new Error('Username is required');
+            }
             // Check if user already exists
             const existingUser = this.users.find(u => u.username === username);
             if (existingUser) {
                 throw new Error('User already exists');
             }
+            this.validatePassword(password);
+            this.validateRole(role);
 
             const newUser = {
-                id: Math.max(...this.users.map(u => u.id)) + 1,
+                id: Math.max(0, ...this.users.map(u => u.id)) + 1,
                 username,
                 passwordHash: this.hashPassword(password),
-                role
+                role,
+                createdAt: new Date().toISOString()
             };
 
             this.users.push(newUser);
+            this.saveUsers();
 
-            return {
-                id: newUser.id,
-                username: newUser.username,
-                role: newUser.role
-            };
+            return this.toPublicUser(newUser);
         } catch (error) {
             console.error('User creation error:', error);
             throw error;
         }
     }
 
+    // Administrative change of a user's role or password
+    // ssoLink: true lets the next single sign-on login with the user's name link the account to
+    // that identity; false removes the link (or the pending permission)
+    async updateUser(userId, { role, password, ssoLink }) {
+        try {
+            const user = this.users.find(u => u.id === userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            if (role !== undefined && role !== user.role) {
+                this.validateRole(role);
+                if (user.role === 'admin' && this.users.filter(u => u.role === 'admin').length === 1) {
+                    throw new Error('Cannot change the role of the last admin user');
+                }
+            }
+            if (password !== undefined) {
+                this.validatePassword(password);
+            }
+
+            if (role !== undefined) {
+                user.role = role;
+            }
+            if (password !== undefined) {
+                user.passwordHash = this.hashPassword(password);
+            }
+            if (ssoLink === true && !user.oidc) {
+                user.oidcLinkPending = true;
+            } else if (ssoLink === false) {
+                if (user.oidc && !user.passwordHash) {
+                    throw new Error('Set a password before unlinking single sign-on, or the user cannot sign in');
+                }
+                delete user.oidc;
+                delete user.oidcLinkPending;
+            }
+            this.saveUsers();
+
+            return this.toPublicUser(user);
+        } catch (error) {
+            console.error('User update error:', error);
+            throw error;
+        }
+    }
+
+    // Sign-in through OpenID Connect. Users are found by issuer and subject only. An existing local
+    // account is linked by username only after an admin allowed it (updateUser ssoLink), since anyone
+    // who can choose that name at the identity provider could otherwise take it over. Unknown users
+    // are created when auto-provisioning is on. A role mapped from the identity provider replaces
+    // the stored one, except that the last admin is never demoted.
+    async loginOidcUser({ issuer, subject, username, role }, autoProvision) {
+        try {
+            let user = this.users.find(u => u.oidc && u.oidc.issuer === issuer && u.oidc.subject === subject);
+            if (!user) {
+                user = this.users.find(u => u.username === username);
+                if (user && user.oidc) {
+                    throw new Error(`User ${username} is linked to another single sign-on identity`);
+                }
+                if (user && !user.oidcLinkPending) {
+                    throw new Error(`An account named ${username} already exists, ask an admin to link it to single sign-on`);
+                }
+                if (user) {
+                    user.oidc = { issuer, subject };
+                    delete user.oidcLinkPending;
+                } else if (!autoProvision) {
+                    throw new Error(`No ContainerPulse account exists for ${username}`);
+                } else if (!role) {
+                    throw new Error(`No role is mapped for ${username}`);
+                } else {
+                    user = {
+                        id: Math.max(0, ...this.users.map(u => u.id)) + 1,
+                        username,
+                        role,
+                        oidc: { issuer, subject },
+                        createdAt: new Date().toISOString()
+                    };
+                    this.users.push(user);
+                }
+            }
+
+            const lastAdmin = user.role === 'admin' && this.users.filter(u => u.role === 'admin').length === 1;
+            if (role && role !== user.role && !lastAdmin) {
+                user.role = role;
+            }
+            this.saveUsers();
+
+            return this.toPublicUser(user);
+        } catch (error) {
+            console.error('Single sign-on error:', error);
+            throw error;
+        }
+    }
+
     async deleteUser(userId) {
         try {
             const userIndex = this.users.findIndex(u => u.id === userId);
@@ -104,6 +285,7 @@ class AuthService {
             }
 
             this.users.splice(userIndex, 1);
+            this.saveUsers();
             return true;
         } catch (error) {
             console.error('User deletion error:', error);
@@ -111,12 +293,13 @@ class AuthService {
         }
     }
 
+    getUser(userId) {
+        const user = this.users.find(u => u.id === userId);
+        return user ? this.toPublicUser(user) : null;
+    }
+
     getUsers() {
-        return this.users.map(user => ({
-            id: user.id,
-            username: user.username,
-            role: user.role
-        }));
+        return this.users.map(user => this.toPublicUser(user));
     }
 }
 
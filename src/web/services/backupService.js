@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+const BACKUP_DIR = process.env.BACKUP_DIR || '/var/lib/containerpulse/backups';
+const VOLUME_BACKUP_DIR = process.env.VOLUME_BACKUP_DIR || path.join(BACKUP_DIR, 'volumes');
+// Containers labelled containerpulse.backup=volumes have their volumes archived before each update
+const BACKUP_LABEL = 'containerpulse.backup';
+// Image of the short-lived container that reads and writes the volumes; needs sh, tar and find
+const BACKUP_HELPER_IMAGE = process.env.BACKUP_HELPER_IMAGE || 'alpine:3.20';
+// Archives kept per container; 0 keeps every archive
+const BACKUP_KEEP = process.env.BACKUP_KEEP === undefined ? 3 : (parseInt(process.env.BACKUP_KEEP, 10) || 0);
+// Archives older than this many days are removed, except the newest one; 0 turns the age rule off
+const BACKUP_MAX_AGE_DAYS = process.env.BACKUP_MAX_AGE_DAYS === undefined ? 30 : (parseInt(process.env.BACKUP_MAX_AGE_DAYS, 10) || 0);
+const BACKUP_TIMEOUT = (parseInt(process.env.BACKUP_TIMEOUT, 10) || 1800) * 1000;
+// Mounts that are never archived or restored
+const SKIPPED_DESTINATIONS = ['/var/run/docker.sock'];
+const HELPER_LABEL = 'containerpulse.helper';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Docker's rule for container names and the IDs hostService gives hosts ("local" or a UUID); both
+// also keep names from URLs inside the backup directory
+const CONTAINER_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+const HOST_ID_PATTERN = /^(local|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/;
+const BACKUP_ID_PATTERN = /^\d{17}$/;
+
+const clientError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Tarballs of the named volumes and bind mounts of labelled containers, taken while the update
+// flow has the container stopped, and their restore. Archives are written and read through a
+// helper container, so they work the same on remote Docker hosts; they are stored under
+// VOLUME_BACKUP_DIR/<host>/<container>/ next to a JSON file describing each one.
+class BackupService {
+    isEnabled(labels = {}) {
+        return String(labels?.[BACKUP_LABEL] || '').toLowerCase() === 'volumes';
+    }
+
+    getConfig() {
+        return { helperImage: BACKUP_HELPER_IMAGE, keep: BACKUP_KEEP, maxAgeDays: BACKUP_MAX_AGE_DAYS };
+    }
+
+    // Named and anonymous volumes and bind mounts of a container, from docker inspect
+    getMounts(containerInfo) {
+        return (containerInfo.Mounts || [])
+            .filter(mount => (mount.Type === 'volume' || mount.Type === 'bind') && !SKIPPED_DESTINATIONS.includes(mount.Destination))
+            .map(mount => ({
+                type: mount.Type,
+                name: mount.Name || null,
+                source: mount.Source,
+                destination: mount.Destination
+            }));
+    }
+
+    getContainerDir(hostId, containerName) {
+        if (!HOST_ID_PATTERN.test(hostId)) {
+            throw clientError(`Invalid host ID: ${hostId}`, 400);
+        }
+        if (!CONTAINER_NAME_PATTERN.test(containerName)) {
+            throw clientError(`Invalid container name: ${containerName}`, 400);
+        }
+        return path.join(VOLUME_BACKUP_DIR, hostId, containerName);
+    }
+
+    // Archive the volumes of a stopped container. digest is the registry digest of the image the
+    // container runs, so a restore can pull the image again if it was removed in the meantime.
+    // Returns the backup's description, or null when the container has nothing to archive.
+    async createBackup(docker, containerInfo, { digest = null } = {}) {
+        const containerName = containerInfo.Name.replace(/^\//, '');
+        const mounts = this.getMounts(containerInfo);
+        if (mounts.length === 0) {
+            console.warn(`${containerName} is labelled ${BACKUP_LABEL}=volumes but has no volumes to back up`);
+            return null;
+        }
+
+        const startedAt = new Date();
+        const id = startedAt.toISOString().replace(/\D/g, '').substring(0, 17);
+        const dir = this.getContainerDir(docker.host.id, containerName);
+        const file = path.join(dir, `${id}.tar.gz`);
+        const partialFile = `${file}.partial`;
+        fs.mkdirSync(dir, { recursive: true });
+
+        try {
+            console.log(`Backing up ${mounts.length} volumes of ${containerName}`);
+            await this.runHelper(docker, {
+                Cmd: ['tar', '-czf', '-', '-C', '/', ...mounts.map(mount => mount.destination.replace(/^\//, ''))],
+                VolumesFrom: [`${containerInfo.Id}:ro`]
+            }, { output: fs.createWriteStream(partialFile) });
+            fs.renameSync(partialFile, file);
+        } catch (error) {
+            fs.rmSync(partialFile, { force: true });
+            console.error(`Error backing up volumes of ${containerName}:`, error.message);
+            throw error;
+        }
+
+        const backup = {
+            id,
+            container: containerName,
+            host: docker.host.id,
+            hostName: docker.host.name,
+            createdAt: startedAt.toISOString(),
+            image: containerInfo.Config.Image,
+            imageId: containerInfo.Image,
+            digest,
+            mounts,
+            size: fs.statSync(file).size,
+            durationMs: Date.now() - startedAt
+        };
+        fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(backup, null, 2));
+        this.prune(docker.host.id, containerName);
+        return backup;
+    }
+
+    // Replace the contents of the backed-up mounts of a stopped container with the archive. The
+    // container must still mount every path the archive holds.
+    async restoreVolumes(docker, containerInfo, backup) {
+        const containerName = containerInfo.Name.replace(/^\//, '');
+        const destinations = backup.mounts.map(mount => mount.destination);
+        const mounted = new Set(this.getMounts(containerInfo).map(mount => mount.destination));
+        const missing = destinations.filter(destination => !mounted.has(destination));
+        if (missing.length > 0) {
+            throw clientError(`Container ${containerName} no longer mounts ${missing.join(', ')}`, 409);
+        }
+
+        console.log(`Restoring volumes of ${containerName} from backup ${backup.id}`);
+        // Empty the mounts first, so files created after the backup do not survive the restore
+        await this.runHelper(docker, {
+            Cmd: ['sh', '-c', 'for dir in "$@"; do find "$dir" -mindepth 1 -delete; done', 'sh', ...destinations],
+            VolumesFrom: [containerInfo.Id]
+        }, {
+            // Docker extracts the archive into the exited helper, whose mounts are the container's
+            afterExit: helper => helper.putArchive(fs.createReadStream(this.getArchivePath(backup)), { path: '/' })
+        });
+    }
+
+    // Run the helper image with the given command and mounts and wait for it to exit. output
+    // receives its stdout; afterExit runs before the helper is removed.
+    async runHelper(docker, { Cmd, VolumesFrom }, { output = null, afterExit = null } = {}) {
+        await this.ensureHelperImage(docker);
+        const helper = await docker.docker.createContainer({
+            Image: BACKUP_HELPER_IMAGE,
+            Cmd,
+            AttachStdout: true,
+            AttachStderr: true,
+            Tty: false,
+            Labels: { [HELPER_LABEL]: 'backup' },
+            HostConfig: { VolumesFrom, NetworkMode: 'none' }
+        });
+
+        let timer = null;
+        try {
+            const stream = await helper.attach({ stream: true, stdout: true, stderr: true });
+            const stdout = output || new PassThrough().resume();
+            const stderr = new PassThrough();
+            const errorOutput = [];
+            stderr.on('data', chunk => errorOutput.push(chunk));
+            docker.docker.modem.demuxStream(stream, stdout, stderr);
+
+            const written = new Promise((resolve, reject) => {
+                stdout.on('finish', resolve);
+                stdout.on('error', reject);
+            });
+            stream.on('end', () => stdout.end());
+
+            await helper.start();
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Backup helper did not finish within ${BACKUP_TIMEOUT / 1000} seconds`)), BACKUP_TIMEOUT);
+            });
+            const { StatusCode } = await Promise.race([helper.wait(), timeout]);
+            await Promise.race([written, timeout]);
+
+            if (StatusCode !== 0) {
+                const message = Buffer.concat(errorOutput).toString().trim().split('\n').pop();
+                throw new Error(`Backup helper exited with code ${StatusCode}${message ? `: ${message}` : ''}`);
+            }
+            if (afterExit) {
+                await afterExit(helper);
+            }
+        } finally {
+            clearTimeout(timer);
+            await helper.remove({ force: true }).catch(error => console.warn(`Could not remove backup helper: ${error.message}`));
+        }
+    }
+
+    async ensureHelperImage(docker) {
+        try {
+            await docker.docker.getImage(BACKUP_HELPER_IMAGE).inspect();
+        } catch (error) {
+            if (error.statusCode !== 404) {
+                throw error;
+            }
+            await docker.pullImage(BACKUP_HELPER_IMAGE);
+        }
+    }
+
+    getArchivePath(backup) {
+        return path.join(this.getContainerDir(backup.host, backup.container), `${backup.id}.tar.gz`);
+    }
+
+    // Backups, newest first, of one container or of every container on a host or on all hosts
+    listBackups({ hostId = null, container = null } = {}) {
+        const hostIds = hostId ? [hostId] : this.readDir(VOLUME_BACKUP_DIR).filter(entry => HOST_ID_PATTERN.test(entry));
+        return hostIds.flatMap(host => {
+            const containers = container
+                ? [container]
+                : this.readDir(path.join(VOLUME_BACKUP_DIR, host)).filter(entry => CONTAINER_NAME_PATTERN.test(entry));
+            return containers.flatMap(name => this.readBackups(host, name));
+        }).sort((a, b) => b.id.localeCompare(a.id));
+    }
+
+    readDir(dir) {
+        try {
+            return fs.readdirSync(dir);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    readBackups(hostId, containerName) {
+        const dir = this.getContainerDir(hostId, containerName);
+        // Only files named like a backup, whose location decides the host and container
+        return this.readDir(dir)
+            .filter(file => BACKUP_ID_PATTERN.test(path.basename(file, '.json')) && file.endsWith('.json'))
+            .map(file => {
+                try {
+                    const backup = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                    return { ...backup, id: path.basename(file, '.json'), host: hostId, container: containerName };
+                } catch (error) {
+                    console.error(`Error reading backup ${file} of ${containerName}:`, error);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    // A backup by ID; the error carries a 404 status when it does not exist
+    getBackup(hostId, containerName, backupId) {
+        if (!BACKUP_ID_PATTERN.test(backupId)) {
+            throw clientError(`Invalid backup ID: ${backupId}`, 400);
+        }
+        const backup = this.readBackups(hostId, containerName).find(entry => entry.id === backupId);
+        if (!backup || !fs.existsSync(this.getArchivePath(backup))) {
+            throw clientError(`Backup ${backupId} of ${containerName} not found`, 404);
+        }
+        return backup;
+    }
+
+    deleteBackup(hostId, containerName, backupId) {
+        const backup = this.getBackup(hostId, containerName, backupId);
+        this.removeFiles(backup);
+        return backup;
+    }
+
+    removeFiles(backup) {
+        const dir = this.getContainerDir(backup.host, backup.container);
+        fs.rmSync(path.join(dir, `${backup.id}.tar.gz`), { force: true });
+        fs.rmSync(path.join(dir, `${backup.id}.json`), { force: true });
+    }
+
+    // Apply BACKUP_KEEP and BACKUP_MAX_AGE_DAYS to the backups of a container
+    prune(hostId, containerName) {
+        const cutoff = Date.now() - BACKUP_MAX_AGE_DAYS * DAY;
+        this.listBackups({ hostId, container: containerName }).forEach((backup, index) => {
+            const beyondKeep = BACKUP_KEEP > 0 && index >= BACKUP_KEEP;
+            const expired = BACKUP_MAX_AGE_DAYS > 0 && index > 0 && Date.parse(backup.createdAt) < cutoff;
+            if (beyondKeep || expired) {
+                console.log(`Removing volume backup ${backup.id} of ${containerName}`);
+                this.removeFiles(backup);
+            }
+        });
+    }
+}
+
+module.exports = new BackupService();
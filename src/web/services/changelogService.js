@@ -0,0 +1,112 @@
+// OCI annotation labels shown in the image diff
+const OCI_LABELS = {
+    version: 'org.opencontainers.image.version',
+    revision: 'org.opencontainers.image.revision',
+    source: 'org.opencontainers.image.source'
+};
+
+// Forges whose release and compare pages can be linked from a source repository URL
+const FORGES = {
+    'github.com': {
+        releases: (repo) => `${repo}/releases`,
+        compare: (repo, from, to) => `${repo}/compare/${from}...${to}`
+    },
+    'gitlab.com': {
+        releases: (repo) => `${repo}/-/releases`,
+        compare: (repo, from, to) => `${repo}/-/compare/${from}...${to}`
+    },
+    'codeberg.org': {
+        releases: (repo) => `${repo}/releases`,
+        compare: (repo, from, to) => `${repo}/compare/${from}...${to}`
+    }
+};
+
+// What changes between the image a container runs and the image an update would bring
+class ChangelogService {
+    // currentImage is the local image inspect output; availableImage comes from
+    // registryService.inspectRemoteImage
+    diffImages(currentImage, availableImage) {
+        const current = currentImage.Config || {};
+        const available = availableImage.config || {};
+
+        const labels = Object.fromEntries(Object.entries(OCI_LABELS).map(([name, label]) => [name, {
+            current: current.Labels?.[label] || null,
+            available: available.Labels?.[label] || null
+        }]));
+
+        return {
+            labels,
+            env: this.diffEnv(current.Env, available.Env),
+            exposedPorts: this.diffList(Object.keys(current.ExposedPorts || {}), Object.keys(available.ExposedPorts || {})),
+            entrypoint: this.diffValue(current.Entrypoint, available.Entrypoint),
+            cmd: this.diffValue(current.Cmd, available.Cmd),
+            // Docker reports the unpacked size of local images; the registry only knows compressed layers
+            layers: {
+                current: { count: currentImage.RootFS?.Layers?.length || 0, size: currentImage.Size || 0 },
+                available: { count: availableImage.layers.length, compressedSize: availableImage.layers.reduce((sum, layer) => sum + layer.size, 0) }
+            },
+            links: this.getSourceLinks(labels.source.available || labels.source.current, labels.revision.current, labels.revision.available)
+        };
+    }
+
+    diffEnv(currentEnv = [], availableEnv = []) {
+        const toMap = (env) => new Map((env || []).map(entry => {
+            const index = entry.indexOf('=');
+            return index === -1 ? [entry, ''] : [entry.substring(0, index), entry.substring(index + 1)];
+        }));
+        const current = toMap(currentEnv);
+        const available = toMap(availableEnv);
+
+        return {
+            added: [...available.keys()].filter(name => !current.has(name)).map(name => ({ name, value: available.get(name) })),
+            removed: [...current.keys()].filter(name => !available.has(name)).map(name => ({ name, value: current.get(name) })),
+            changed: [...available.keys()]
+                .filter(name => current.has(name) && current.get(name) !== available.get(name))
+                .map(name => ({ name, current: current.get(name), available: available.get(name) }))
+        };
+    }
+
+    diffList(current, available) {
+        return {
+            added: available.filter(entry => !current.includes(entry)),
+            removed: current.filter(entry => !available.includes(entry))
+        };
+    }
+
+    diffValue(current, available) {
+        return {
+            current: current ?? null,
+            available: available ?? null,
+            changed: JSON.stringify(current ?? null) !== JSON.stringify(available ?? null)
+        };
+    }
+
+    // Repository, release notes and compare links for a source URL on a known forge, else null
+    getSourceLinks(source, fromRevision, toRevision) {
+        if (!source) {
+            return null;
+        }
+
+        // Accept "https://github.com/org/repo.git", "git+https://..." and "git@github.com:org/repo"
+        const match = source.trim()
+            .replace(/^git\+/, '')
+            .replace(/^git@([^:]+):/, 'https://$1/')
+            .replace(/\/(?:-\/)?tree\/.*$/, '')
+            .match(/^(?:https?|git|ssh):\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/(.+?)(?:\.git)?\/?$/);
+        const forge = match && FORGES[match[1].toLowerCase()];
+        if (!forge) {
+            return null;
+        }
+
+        const repository = `https://${match[1].toLowerCase()}/${match[2]}`;
+        return {
+            repository,
+            releaseNotes: forge.releases(repository),
+            compare: fromRevision && toRevision && fromRevision !== toRevision
+                ? forge.compare(repository, fromRevision, toRevision)
+                : null
+        };
+    }
+}
+
+module.exports = new ChangelogService();
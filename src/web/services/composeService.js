@@ -0,0 +1,186 @@
+const fs = require('fs');
+const YAML = require('yaml');
+const hostService = require('./hostService');
+
+const PROJECT_LABEL = 'com.docker.compose.project';
+const SERVICE_LABEL = 'com.docker.compose.service';
+const CONFIG_FILES_LABEL = 'com.docker.compose.project.config_files';
+const WORKING_DIR_LABEL = 'com.docker.compose.project.working_dir';
+// Set by Compose v2.20+ as "service:condition:restart,..."
+const DEPENDS_ON_LABEL = 'com.docker.compose.depends_on';
+
+// Docker Compose projects: stacks of containers grouped by their com.docker.compose.* labels.
+// Compose files are only read for the local host, and only when they are readable at the path
+// Compose recorded (e.g. the project directory mounted into ContainerPulse at the same path).
+class ComposeService {
+    constructor() {
+        // Parsed compose files by path, reloaded when the file changes
+        this.files = new Map();
+    }
+
+    getProject(labels = {}) {
+        return labels?.[PROJECT_LABEL] || null;
+    }
+
+    getService(labels = {}) {
+        return labels?.[SERVICE_LABEL] || null;
+    }
+
+    // Compose file paths recorded on a container, resolved against the project directory
+    getConfigFiles(labels = {}) {
+        const workingDir = labels[WORKING_DIR_LABEL] || '';
+        return (labels[CONFIG_FILES_LABEL] || '')
+            .split(',')
+            .map(file => file.trim())
+            .filter(Boolean)
+            .map(file => (file.startsWith('/') || !workingDir ? file : `${workingDir.replace(/\/+$/, '')}/${file}`));
+    }
+
+    readComposeFile(file) {
+        try {
+            const { mtimeMs } = fs.statSync(file);
+            const cached = this.files.get(file);
+            if (cached && cached.mtimeMs === mtimeMs) {
+                return cached.config;
+            }
+            const config = YAML.parse(fs.readFileSync(file, 'utf8')) || {};
+            this.files.set(file, { mtimeMs, config });
+            return config;
+        } catch (error) {
+            if (error.code !== 'ENOENT' && error.code !== 'EACCES') {
+                console.warn(`Could not read compose file ${file}: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    // The container's service from its compose files, later files overriding earlier ones like
+    // "docker compose -f a.yml -f b.yml"; null when the files are not readable from here
+    getServiceDefinition(labels = {}, hostId = null) {
+        const service = this.getService(labels);
+        if (!service || !hostService.isLocal(hostId)) {
+            return null;
+        }
+
+        let definition = null;
+        for (const file of this.getConfigFiles(labels)) {
+            const serviceConfig = this.readComposeFile(file)?.services?.[service];
+            if (serviceConfig) {
+                definition = { ...(definition || {}), ...serviceConfig };
+            }
+        }
+        return definition;
+    }
+
+    // Services this container's service depends on: from the depends_on label, else the compose files
+    getDependencies(labels = {}, hostId = null) {
+        if (labels[DEPENDS_ON_LABEL]) {
+            return labels[DEPENDS_ON_LABEL]
+                .split(',')
+                .map(entry => entry.split(':')[0].trim())
+                .filter(Boolean);
+        }
+
+        const dependsOn = this.getServiceDefinition(labels, hostId)?.depends_on;
+        if (Array.isArray(dependsOn)) {
+            return dependsOn.map(String);
+        }
+        return dependsOn && typeof dependsOn === 'object' ? Object.keys(dependsOn) : [];
+    }
+
+    // Whether Compose builds the service's image instead of pulling it: the service has a build:
+    // section, or, when the compose files cannot be read, the image carries the name Compose gives
+    // built images ("project-service", or "project_service" with Compose v1)
+    isBuiltService(labels = {}, image = '', hostId = null) {
+        const project = this.getProject(labels);
+        const service = this.getService(labels);
+        if (!project || !service) {
+            return false;
+        }
+
+        const definition = this.getServiceDefinition(labels, hostId);
+        if (definition) {
+            return definition.build !== undefined && definition.build !== null;
+        }
+
+        const imageName = (image || '').replace(/:latest$/, '');
+        return imageName === `${project}-${service}` || imageName === `${project}_${service}`;
+    }
+
+    // Containers sorted so every service comes after the services it depends on. Containers of
+    // different projects and hosts are ordered independently; dependency cycles keep name order.
+    orderContainers(containers) {
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const groups = new Map();
+        for (const container of containers) {
+            const project = this.getProject(container.labels);
+            const key = project ? `${container.host}/${project}` : null;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(container);
+        }
+
+        return [...groups.entries()].flatMap(([key, group]) => (key ? this.orderProject(group) : group.slice().sort(byName)));
+    }
+
+    orderProject(containers) {
+        const services = new Map();
+        for (const container of containers.slice().sort((a, b) => a.name.localeCompare(b.name))) {
+            const service = this.getService(container.labels) || container.name;
+            if (!services.has(service)) {
+                services.set(service, { containers: [], dependencies: new Set() });
+            }
+            const entry = services.get(service);
+            entry.containers.push(container);
+            this.getDependencies(container.labels, container.host)
+                .filter(dependency => dependency !== service)
+                .forEach(dependency => entry.dependencies.add(dependency));
+        }
+
+        const ordered = [];
+        const done = new Set();
+        const names = [...services.keys()].sort();
+        while (done.size < names.length) {
+            const ready = names.find(name => !done.has(name) &&
+                [...services.get(name).dependencies].every(dependency => done.has(dependency) || !services.has(dependency)));
+            // A cycle: continue with the first remaining service
+            const next = ready || names.find(name => !done.has(name));
+            done.add(next);
+            ordered.push(...services.get(next).containers);
+        }
+        return ordered;
+    }
+
+    // Dashboard groups: one per compose project and host, services in update order, then the
+    // containers outside any project
+    groupStacks(containers) {
+        const stacks = new Map();
+        const standalone = [];
+        for (const container of this.orderContainers(containers)) {
+            const project = this.getProject(container.labels);
+            if (!project) {
+                standalone.push(container);
+                continue;
+            }
+            const key = `${container.host}/${project}`;
+            if (!stacks.has(key)) {
+                stacks.set(key, {
+                    project,
+                    host: container.host,
+                    hostName: container.hostName,
+                    containers: []
+                });
+            }
+            stacks.get(key).containers.push(container);
+        }
+
+        const groups = [...stacks.values()].sort((a, b) => a.project.localeCompare(b.project) || a.host.localeCompare(b.host));
+        if (standalone.length > 0) {
+            groups.push({ project: null, host: null, hostName: null, containers: standalone });
+        }
+        return groups;
+    }
+}
+
+module.exports = new ComposeService();
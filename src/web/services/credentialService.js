@@ -0,0 +1,224 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+const CREDENTIALS_FILE = process.env.CREDENTIALS_FILE || '/var/lib/containerpulse/registry-credentials.json';
+const DOCKER_CONFIG_FILE = path.join(process.env.DOCKER_CONFIG || path.join(os.homedir(), '.docker'), 'config.json');
+const DOCKER_HUB = 'docker.io';
+const DOCKER_HUB_SERVER_ADDRESS = 'https://index.docker.io/v1/';
+const DOCKER_HUB_ALIASES = ['docker.io', 'index.docker.io', 'registry-1.docker.io', 'registry.hub.docker.com'];
+
+// Registry credentials from admin-managed entries (encrypted at rest) and ~/.docker/config.json
+class CredentialService {
+    constructor() {
+        const secret = process.env.CREDENTIALS_SECRET || process.env.JWT_SECRET;
+        // Without a secret nothing new is encrypted; entries written by earlier versions with the
+        // old built-in default stay readable, so they can still be used and replaced
+        this.key = secret ? this.deriveKey(secret) : null;
+        this.readKey = this.key || this.deriveKey('your-jwt-secret');
+        if (!secret) {
+            console.warn('Neither CREDENTIALS_SECRET nor JWT_SECRET is set: registry credentials, Docker host keys and notification channels cannot be stored');
+        }
+    }
+
+    deriveKey(secret) {
+        return crypto.scryptSync(secret, 'containerpulse-registry-credentials', 32);
+    }
+
+    // Whether a secret is configured to encrypt stored credentials with
+    isConfigured() {
+        return Boolean(this.key);
+    }
+
+    // Reduce "https://index.docker.io/v1/", "registry-1.docker.io" etc. to a comparable host name
+    normalizeRegistry(registry) {
+        const host = String(registry || '')
+            .replace(/^https?:\/\//, '')
+            .replace(/\/.*$/, '')
+            .toLowerCase();
+        return DOCKER_HUB_ALIASES.includes(host) ? DOCKER_HUB : host;
+    }
+
+    encrypt(plaintext) {
+        if (!this.key) {
+            throw new Error('Set CREDENTIALS_SECRET (or JWT_SECRET) before storing credentials');
+        }
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+        return {
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(encrypted) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.readKey, Buffer.from(encrypted.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+        return Buffer.concat([
+            decipher.update(Buffer.from(encrypted.data, 'base64')),
+            decipher.final()
+        ]).toString('utf8');
+    }
+
+    loadStored() {
+        try {
+            if (!fs.existsSync(CREDENTIALS_FILE)) {
+                return [];
+            }
+            return JSON.parse(fs.readFileSync(CREDENTIALS_FILE, 'utf8'));
+        } catch (error) {
+            console.error('Error reading registry credentials:', error);
+            return [];
+        }
+    }
+
+    saveStored(entries) {
+        fs.mkdirSync(path.dirname(CREDENTIALS_FILE), { recursive: true });
+        fs.writeFileSync(CREDENTIALS_FILE, JSON.stringify(entries, null, 2), { mode: 0o600 });
+    }
+
+    loadDockerConfig() {
+        try {
+            if (!fs.existsSync(DOCKER_CONFIG_FILE)) {
+                return {};
+            }
+            return JSON.parse(fs.readFileSync(DOCKER_CONFIG_FILE, 'utf8'));
+        } catch (error) {
+            console.error(`Error reading ${DOCKER_CONFIG_FILE}:`, error);
+            return {};
+        }
+    }
+
+    // List configured registries without exposing any secrets
+    listCredentials() {
+        const stored = this.loadStored().map(entry => ({
+            id: entry.id,
+            registry: entry.registry,
+            username: entry.username,
+            source: 'containerpulse',
+            createdAt: entry.createdAt
+        }));
+
+        const dockerConfig = this.loadDockerConfig();
+        const fromAuths = Object.keys(dockerConfig.auths || {}).map(registry => ({
+            registry: this.normalizeRegistry(registry),
+            source: 'docker-config'
+        }));
+        const fromHelpers = Object.entries(dockerConfig.credHelpers || {}).map(([registry, helper]) => ({
+            registry: this.normalizeRegistry(registry),
+            source: `docker-credential-${helper}`
+        }));
+
+        return [...stored, ...fromAuths, ...fromHelpers];
+    }
+
+    saveCredential(registry, username, password) {
+        if (!registry || !username || !password) {
+            throw new Error('Registry, username and password are required');
+        }
+
+        const normalized = this.normalizeRegistry(registry);
+        const entries = this.loadStored().filter(entry => entry.registry !== normalized);
+        const entry = {
+            id: crypto.randomUUID(),
+            registry: normalized,
+            username,
+            password: this.encrypt(password),
+            createdAt: new Date().toISOString()
+        };
+
+        entries.push(entry);
+        this.saveStored(entries);
+
+        return { id: entry.id, registry: entry.registry, username, source: 'containerpulse', createdAt: entry.createdAt };
+    }
+
+    deleteCredential(id) {
+        const entries = this.loadStored();
+        const remaining = entries.filter(entry => entry.id !== id);
+        if (remaining.length === entries.length) {
+            throw new Error('Registry credential not found');
+        }
+        this.saveStored(remaining);
+        return true;
+    }
+
+    // Resolve { username, password } for a registry: stored entries first, then ~/.docker/config.json
+    async getCredentials(registry) {
+        const normalized = this.normalizeRegistry(registry);
+
+        const stored = this.loadStored().find(entry => entry.registry === normalized);
+        if (stored) {
+            return { username: stored.username, password: this.decrypt(stored.password) };
+        }
+
+        const dockerConfig = this.loadDockerConfig();
+
+        const helper = Object.entries(dockerConfig.credHelpers || {})
+            .find(([key]) => this.normalizeRegistry(key) === normalized)?.[1];
+        if (helper) {
+            return this.runCredentialHelper(helper, normalized);
+        }
+
+        const auth = Object.entries(dockerConfig.auths || {})
+            .find(([key]) => this.normalizeRegistry(key) === normalized)?.[1];
+        if (auth && auth.auth) {
+            const decoded = Buffer.from(auth.auth, 'base64').toString('utf8');
+            const separator = decoded.indexOf(':');
+            return { username: decoded.substring(0, separator), password: decoded.substring(separator + 1) };
+        }
+        if (auth && auth.identitytoken) {
+            return { identitytoken: auth.identitytoken };
+        }
+
+        if (dockerConfig.credsStore) {
+            return this.runCredentialHelper(dockerConfig.credsStore, normalized);
+        }
+
+        return null;
+    }
+
+    // Ask a docker-credential-<helper> binary for credentials, as the Docker CLI does
+    runCredentialHelper(helper, registry) {
+        const serverUrl = registry === DOCKER_HUB ? DOCKER_HUB_SERVER_ADDRESS : registry;
+
+        return new Promise((resolve) => {
+            const child = execFile(`docker-credential-${helper}`, ['get'], { timeout: 10000 }, (error, stdout) => {
+                if (error) {
+                    console.warn(`Credential helper ${helper} returned no credentials for ${registry}: ${error.message}`);
+                    return resolve(null);
+                }
+                try {
+                    const { Username, Secret } = JSON.parse(stdout);
+                    resolve(Username === '<token>' ? { identitytoken: Secret } : { username: Username, password: Secret });
+                } catch (parseError) {
+                    console.warn(`Credential helper ${helper} returned invalid output for ${registry}`);
+                    resolve(null);
+                }
+            });
+            // A missing helper binary surfaces through the callback above
+            child.stdin.on('error', () => {});
+            child.stdin.end(serverUrl);
+        });
+    }
+
+    // Credentials in the shape dockerode expects for the authconfig option of pull()
+    async getAuthConfig(registry) {
+        const credentials = await this.getCredentials(registry);
+        if (!credentials) {
+            return undefined;
+        }
+
+        const normalized = this.normalizeRegistry(registry);
+        return {
+            ...credentials,
+            serveraddress: normalized === DOCKER_HUB ? DOCKER_HUB_SERVER_ADDRESS : normalized
+        };
+    }
+}
+
+module.exports = new CredentialService();
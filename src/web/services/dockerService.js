@@ -1,10 +1,19 @@
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const { PassThrough } = require('stream');
+const { StringDecoder } = require('string_decoder');
 const Docker = require('dockerode');
-
-const execAsync = promisify(exec);
+const registryService = require('./registryService');
+const credentialService = require('./credentialService');
+const versionService = require('./versionService');
+const eventService = require('./eventService');
+const hostService = require('./hostService');
+const composeService = require('./composeService');
+const changelogService = require('./changelogService');
+const scanService = require('./scanService');
+const metricsService = require('./metricsService');
+const statsService = require('./statsService');
+const backupService = require('./backupService');
 
 // Try different Docker socket paths for better compatibility
 let docker;
@@ -22,13 +31,141 @@ try {
     }
 }
 
-const INVENTORY_FILE = process.env.INVENTORY_FILE || '/var/lib/containerpulse/container-inventory/inventory.json';
-const UPDATE_SCRIPT = '/usr/local/bin/containerpulse-updater.sh';
+const ROLLBACK_TIMEOUT = parseInt(process.env.ROLLBACK_TIMEOUT, 10) || 120; // seconds
+const ROLLBACK_TIMEOUT_LABEL = 'containerpulse.rollback-timeout';
+const STABILITY_PERIOD = 10; // seconds a container without a healthcheck must stay up
+// Containers labelled containerpulse.protected=true cannot be stopped, paused or removed from here
+const PROTECTED_LABEL = 'containerpulse.protected';
+// Lifecycle actions by name, with the word used in messages
+const CONTAINER_ACTIONS = {
+    start: 'started',
+    stop: 'stopped',
+    restart: 'restarted',
+    pause: 'paused',
+    unpause: 'unpaused'
+};
+// A restart stops the container too, so it counts as destructive
+const DESTRUCTIVE_ACTIONS = ['stop', 'restart', 'pause', 'remove'];
+
+const EVENT_RECONNECT_DELAY = 5000;
+// Every watched event invalidates the inventory cache; create, destroy and rename are only watched for that
+const WATCHED_EVENTS = ['create', 'destroy', 'rename', 'start', 'stop', 'die', 'pause', 'unpause', 'health_status'];
+const COMPOSE_PROJECT_LABEL = 'com.docker.compose.project';
+const COMPOSE_SERVICE_LABEL = 'com.docker.compose.service';
+// Image ID Compose created the container from; Compose recreates containers whose label is out of date
+const COMPOSE_IMAGE_LABEL = 'com.docker.compose.image';
+
+// Progress shown while each update step runs; the pull fills the range up to inspect-image
+const UPDATE_STEPS = {
+    inspect: { percent: 2, message: 'Inspecting container' },
+    'resolve-tag': { percent: 5, message: 'Resolving version tag' },
+    pull: { percent: 10, message: 'Pulling image' },
+    'inspect-image': { percent: 60, message: 'Inspecting new image' },
+    'inspect-old-image': { percent: 62, message: 'Inspecting current image' },
+    scan: { percent: 63, message: 'Scanning images for vulnerabilities' },
+    stop: { percent: 65, message: 'Stopping container' },
+    backup: { percent: 66, message: 'Backing up volumes' },
+    'rename-old': { percent: 68, message: 'Keeping previous container' },
+    create: { percent: 72, message: 'Creating container' },
+    'connect-networks': { percent: 75, message: 'Connecting networks' },
+    start: { percent: 78, message: 'Starting container' },
+    verify: { percent: 82, message: 'Waiting for container to become healthy' },
+    rollback: { percent: 90, message: 'Rolling back' },
+    'remove-old': { percent: 95, message: 'Removing previous container' }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Services bound to remote Docker hosts, by host id
+const hostServices = new Map();
 
 class DockerService {
+    constructor(host = hostService.getLocalHost(), client = docker) {
+        this.host = { id: host.id, name: host.name };
+        this.docker = client;
+        this.removed = false;
+        this.eventStream = null;
+        this.eventsFailing = false;
+        this.inventoryCache = null;
+        this.inventoryGeneration = 0;
+    }
+
+    // Service for a Docker host by id; no id means the local host
+    forHost(hostId) {
+        if (hostService.isLocal(hostId)) {
+            return dockerService;
+        }
+
+        if (!hostServices.has(hostId)) {
+            const host = hostService.getHost(hostId);
+            if (!host.enabled) {
+                throw new Error(`Docker host ${host.name} is disabled`);
+            }
+            if (host.unavailable) {
+                throw new Error(`Docker host ${host.name} is unavailable: ${host.unavailable}`);
+            }
+            hostServices.set(hostId, new DockerService(host, new Docker(hostService.getConnectionOptions(host))));
+        }
+        return hostServices.get(hostId);
+    }
+
+    // Services for every enabled and usable host, the local host first
+    getHostServices() {
+        return hostService.getHosts()
+            .filter(host => host.enabled && !host.unavailable)
+            .map(host => this.forHost(host.id));
+    }
+
+    // Drop the client of a changed or deleted host so the next forHost() connects with its new settings
+    removeHost(hostId) {
+        const service = hostServices.get(hostId);
+        if (!service) {
+            return;
+        }
+        hostServices.delete(hostId);
+        service.removed = true;
+        if (service.eventStream) {
+            service.eventStream.destroy();
+        }
+    }
+
+    // Connection status of every configured host
+    async getHostStatuses() {
+        return Promise.all(hostService.listHosts().map(async (host) => ({
+            ...host,
+            status: !host.enabled
+                ? { connected: false, message: 'Host is disabled' }
+                : host.unavailable
+                    ? { connected: false, message: host.unavailable }
+                    : await this.forHost(host.id).testConnection()
+        })));
+    }
+
+    // Containers with update status from several hosts (all enabled hosts by default) and the
+    // compose projects on them; an unreachable host is reported in errors instead of failing the list
+    async getContainerOverview(filters = {}, hostId = null) {
+        const services = hostId ? [this.forHost(hostId)] : this.getHostServices();
+        const results = await Promise.all(services.map(async (service) => {
+            try {
+                return {
+                    inventory: await service.getInventoryContainers(),
+                    containers: await service.getContainersWithUpdateStatus(filters)
+                };
+            } catch (error) {
+                return { inventory: [], containers: [], error: { host: service.host.id, name: service.host.name, message: error.message } };
+            }
+        }));
+
+        return {
+            containers: results.flatMap(result => result.containers),
+            projects: [...new Set(results.flatMap(result => result.inventory).map(container => container.composeProject).filter(Boolean))].sort(),
+            errors: results.filter(result => result.error).map(result => result.error)
+        };
+    }
+
     async listContainers(options = {}) {
         try {
-            const containers = await docker.listContainers({
+            const containers = await this.docker.listContainers({
                 all: options.all || false,
                 filters: options.filters || {}
             });
@@ -41,22 +178,27 @@ class DockerService {
 
     async getContainer(id) {
         try {
-            return docker.getContainer(id);
+            return this.docker.getContainer(id);
         } catch (error) {
             console.error(`Error getting container ${id}:`, error);
             throw error;
         }
     }
 
-    async getContainersWithUpdateStatus() {
+    async getContainersWithUpdateStatus(filters = {}) {
         try {
-            const containers = await this.getInventoryContainers();
+            const containers = this.filterContainers(await this.getInventoryContainers(), filters);
             const containersWithStatus = await Promise.all(
                 containers.map(async (container) => {
                     const updateStatus = await this.checkImageUpdateStatus(container);
+                    if (!updateStatus.error) {
+                        metricsService.setUpdateAvailable(this.host.name, container.name, updateStatus.updateAvailable);
+                    }
                     return {
                         ...container,
-                        updateStatus
+                        updateStatus,
+                        scan: scanService.getSummary(this.host.id, container.imageId),
+                        stats: statsService.getSparkline(this.host.id, container.name)
                     };
                 })
             );
@@ -68,80 +210,164 @@ class DockerService {
         }
     }
 
+    // All containers, labelled or not, built from the Docker API
     async getInventoryContainers() {
         try {
-            if (!fs.existsSync(INVENTORY_FILE)) {
-                return [];
+            const containers = await this.inspectAllContainers();
+            return containers.map(info => ({
+                id: info.Id,
+                name: info.Name.replace(/^\//, ''), // Remove leading slash
+                image: info.Config.Image,
+                imageId: info.Image,
+                state: info.State,
+                created: info.Created,
+                labels: info.Config.Labels || {},
+                ports: info.NetworkSettings?.Ports || {},
+                mounts: info.Mounts || [],
+                restartPolicy: info.HostConfig?.RestartPolicy || {},
+                host: this.host.id,
+                hostName: this.host.name,
+                autoUpdate: this.hasAutoUpdateLabel(info.Config.Labels),
+                protected: this.isProtected(info.Config.Labels),
+                volumeBackup: backupService.isEnabled(info.Config.Labels),
+                composeProject: info.Config.Labels?.[COMPOSE_PROJECT_LABEL] || null,
+                composeService: info.Config.Labels?.[COMPOSE_SERVICE_LABEL] || null
+            }));
+        } catch (error) {
+            console.error(`Error building container inventory of ${this.host.name}:`, error);
+            throw error;
+        }
+    }
+
+    // Inspect data for every container, cached until a Docker event says it changed.
+    // Without a live event stream nothing would invalidate the cache, so it is bypassed.
+    async inspectAllContainers() {
+        if (this.inventoryCache && this.eventStream) {
+            return this.inventoryCache;
+        }
+
+        const generation = this.inventoryGeneration;
+        const containers = await this.docker.listContainers({ all: true });
+        const inspected = await Promise.all(containers.map(container =>
+            // Containers removed between list and inspect are left out
+            this.docker.getContainer(container.Id).inspect().catch(() => null)
+        ));
+        const inventory = inspected.filter(Boolean).sort((a, b) => a.Name.localeCompare(b.Name));
+
+        // An event during the refresh makes this result stale; return it but do not keep it
+        if (generation === this.inventoryGeneration) {
+            this.inventoryCache = inventory;
+        }
+        return inventory;
+    }
+
+    invalidateInventory() {
+        this.inventoryCache = null;
+        this.inventoryGeneration++;
+    }
+
+    // Filters from the dashboard and API query: label ("key" or "key=value"), state and compose project
+    filterContainers(containers, filters = {}) {
+        const { label, state, project } = filters;
+        const [labelKey, ...labelValue] = (label || '').split('=');
+
+        return containers.filter(container => {
+            if (labelKey) {
+                if (!(labelKey in container.labels)) return false;
+                if (labelValue.length && container.labels[labelKey] !== labelValue.join('=')) return false;
             }
-            
-            const data = fs.readFileSync(INVENTORY_FILE, 'utf8');
-            const containers = JSON.parse(data);
-            
-            return containers.map(container => ({
-                id: container.id,
-                name: container.name.replace(/^\//, ''), // Remove leading slash
-                image: container.image,
-                imageId: container.imageId,
-                state: container.state,
-                created: container.created,
-                labels: container.labels || {},
-                ports: container.ports || {},
-                mounts: container.mounts || [],
-                restartPolicy: container.restartPolicy || {}
+            if (state && container.state?.Status !== state) return false;
+            if (project && container.composeProject !== project) return false;
+            return true;
+        });
+    }
+
+    // Full inspect data in the inventory.json format written by the old bash updater
+    async exportInventory(filters = {}) {
+        try {
+            const ids = new Set(this.filterContainers(await this.getInventoryContainers(), filters).map(container => container.id));
+            const containers = await this.inspectAllContainers();
+
+            return containers.filter(info => ids.has(info.Id)).map(info => ({
+                id: info.Id,
+                name: info.Name,
+                image: info.Config.Image,
+                imageId: info.Image,
+                command: info.Config.Cmd || [],
+                entrypoint: info.Config.Entrypoint || [],
+                created: info.Created,
+                state: info.State,
+                restartPolicy: info.HostConfig.RestartPolicy,
+                network: info.NetworkSettings.Networks,
+                mounts: info.Mounts,
+                ports: info.NetworkSettings.Ports,
+                labels: info.Config.Labels,
+                env: info.Config.Env,
+                hostConfig: {
+                    privileged: info.HostConfig.Privileged,
+                    devices: info.HostConfig.Devices,
+                    capAdd: info.HostConfig.CapAdd,
+                    capDrop: info.HostConfig.CapDrop,
+                    dns: info.HostConfig.Dns,
+                    dnsSearch: info.HostConfig.DnsSearch,
+                    extraHosts: info.HostConfig.ExtraHosts,
+                    logConfig: info.HostConfig.LogConfig
+                }
             }));
         } catch (error) {
-            console.error('Error reading inventory file:', error);
-            return [];
+            console.error('Error exporting container inventory:', error);
+            throw error;
         }
     }
 
     async checkImageUpdateStatus(container) {
         try {
-            const { stdout: currentImageId } = await execAsync(
-                `docker inspect --format '{{.Id}}' "${container.image}"`
-            );
-            
-            const currentId = currentImageId.trim();
+            const imageInfo = await this.docker.getImage(container.imageId || container.image).inspect();
+            const currentId = imageInfo.Id;
+            const currentDigest = this.getLocalDigest(imageInfo);
+            const updateApproach = container.labels?.['update-approach'] || 'auto';
             
-            // Check if this is a locally built image (Docker Compose or custom built)
-            const isLocallyBuilt = this.isLocallyBuiltImage(container.image);
+            // Images built by Docker Compose or never pulled from a registry have nothing to compare against
+            const isLocallyBuilt = this.isLocallyBuiltImage(container.image, container.labels) || !currentDigest;
             
             if (isLocallyBuilt) {
                 console.log(`Image ${container.image} appears to be locally built. Skipping update check.`);
                 return {
                     currentImageId: currentId,
-                    latestImageId: currentId,
+                    currentDigest,
+                    latestDigest: currentDigest,
                     updateAvailable: false,
+                    updateApproach,
                     isLocallyBuilt: true,
                     lastChecked: new Date().toISOString()
                 };
             }
             
-            // For registry images, pull latest to check for updates
+            // For registry images, compare digests with the registry instead of pulling
             try {
-                await execAsync(`docker pull "${container.image}"`);
-                
-                const { stdout: latestImageId } = await execAsync(
-                    `docker inspect --format '{{.Id}}' "${container.image}"`
-                );
-                
-                const latestId = latestImageId.trim();
+                const remote = await registryService.checkImage(container.image, imageInfo, await this.getPlatform());
+                const tagUpdate = await this.checkTagPolicy(container.image, container.labels);
                 
                 return {
                     currentImageId: currentId,
-                    latestImageId: latestId,
-                    updateAvailable: currentId !== latestId,
+                    currentDigest,
+                    latestDigest: remote.platformDigest || remote.remoteDigest,
+                    updateAvailable: remote.updateAvailable || Boolean(tagUpdate?.availableTag),
+                    tagUpdate,
+                    updateApproach,
                     isLocallyBuilt: false,
                     lastChecked: new Date().toISOString()
                 };
-            } catch (pullError) {
-                // Handle pull failures gracefully (image not found, auth issues, etc.)
-                console.warn(`Failed to pull image ${container.image}: ${pullError.message}`);
+            } catch (registryError) {
+                // Handle registry failures gracefully (image not found, auth issues, etc.)
+                console.warn(`Failed to query registry for ${container.image}: ${registryError.message}`);
                 return {
                     currentImageId: currentId,
-                    latestImageId: null,
+                    currentDigest,
+                    latestDigest: null,
                     updateAvailable: false,
-                    error: `Cannot check updates: ${pullError.message}`,
+                    updateApproach,
+                    error: `Cannot check updates: ${registryError.message}`,
                     lastChecked: new Date().toISOString()
                 };
             }
@@ -149,7 +375,8 @@ class DockerService {
             console.error(`Error checking update status for ${container.name}:`, error);
             return {
                 currentImageId: container.imageId,
-                latestImageId: null,
+                currentDigest: null,
+                latestDigest: null,
                 updateAvailable: false,
                 error: error.message,
                 lastChecked: new Date().toISOString()
@@ -157,59 +384,802 @@ class DockerService {
         }
     }
 
-    async updateContainer(containerName) {
+    // Newer tag allowed by the container's containerpulse.semver policy; failures are reported, not thrown
+    async checkTagPolicy(image, labels) {
         try {
-            console.log(`Triggering update for container: ${containerName}`);
-            
-            // Read the inventory to find the container
-            const containers = await this.getInventoryContainers();
-            const container = containers.find(c => c.name === containerName);
-            
-            if (!container) {
-                throw new Error(`Container ${containerName} not found in inventory`);
+            return await versionService.checkTagUpdate(image, labels);
+        } catch (error) {
+            console.warn(`Failed to check tag policy for ${image}: ${error.message}`);
+            return { availableTag: null, error: error.message };
+        }
+    }
+
+    // Digest the image was pulled by, or null for images that never came from a registry
+    getLocalDigest(imageInfo) {
+        const repoDigest = imageInfo.RepoDigests?.[0];
+        return repoDigest ? repoDigest.split('@')[1] : null;
+    }
+
+    // Platform of the Docker daemon, used to pick the right entry from multi-arch manifest lists
+    async getPlatform() {
+        if (!this.platform) {
+            const version = await this.docker.version();
+            this.platform = {
+                os: version.Os,
+                architecture: version.Arch,
+                variant: version.Arch === 'arm64' ? 'v8' : undefined
+            };
+        }
+        return this.platform;
+    }
+
+    // Automatic updates (scheduler, webhooks) are refused when the vulnerability scan policy blocks them
+    async updateContainer(containerName, { automatic = false } = {}) {
+        const startedAt = new Date();
+        const steps = [];
+        const result = {
+            success: false,
+            updated: false,
+            rolledBack: false,
+            containerName,
+            host: this.host.id,
+            hostName: this.host.name,
+            steps,
+            startedAt: startedAt.toISOString()
+        };
+
+        const progress = eventService.trackProgress('update', containerName, this.host.id);
+
+        // Records each stage of the update so the caller can see exactly how far it got
+        const runStep = async (name, fn) => {
+            const stepStarted = Date.now();
+            progress.report(name, UPDATE_STEPS[name].percent, UPDATE_STEPS[name].message);
+            try {
+                const value = await fn();
+                steps.push({ name, status: 'ok', durationMs: Date.now() - stepStarted });
+                return value;
+            } catch (error) {
+                steps.push({ name, status: 'failed', error: error.message, durationMs: Date.now() - stepStarted });
+                throw error;
             }
-            
+        };
+
+        const finish = () => {
+            const finishedAt = new Date();
+            result.finishedAt = finishedAt.toISOString();
+            result.durationMs = finishedAt - startedAt;
+            metricsService.recordUpdate(result);
+            statsService.recordUpdate(result);
+            progress.report(result.success ? 'done' : 'failed', 100, result.message || result.error, {
+                success: result.success,
+                rolledBack: result.rolledBack
+            });
+            return result;
+        };
+
+        try {
+            console.log(`Triggering update for container: ${containerName}`);
+
+            const containerInfo = await runStep('inspect', () => this.docker.getContainer(containerName).inspect());
+            // By ID, since the name moves to the new container
+            const container = this.docker.getContainer(containerInfo.Id);
+            const image = containerInfo.Config.Image;
+
+            result.containerId = containerInfo.Id;
+            progress.containerId = containerInfo.Id;
+            result.image = image;
+            result.oldImageId = containerInfo.Image;
+
             // Check if container has auto-update label
-            const hasUpdateLabel = this.hasAutoUpdateLabel(container.labels);
+            const hasUpdateLabel = this.hasAutoUpdateLabel(containerInfo.Config.Labels);
             if (!hasUpdateLabel) {
                 throw new Error(`Container ${containerName} does not have auto-update label`);
             }
-            
+            if (this.isLocallyBuiltImage(image, containerInfo.Config.Labels)) {
+                throw new Error(`Container ${containerName} is built by Docker Compose and cannot be pulled from a registry`);
+            }
+
+            // Move to a newer tag when the container has a semver policy that allows one
+            let targetImage = image;
+            if (versionService.getPolicy(containerInfo.Config.Labels)) {
+                const tagUpdate = await runStep('resolve-tag', () => versionService.checkTagUpdate(image, containerInfo.Config.Labels));
+                result.tagUpdate = tagUpdate;
+                targetImage = tagUpdate.availableImage || image;
+            }
+            result.targetImage = targetImage;
+
             // Pull the latest image
-            const { stdout: pullOutput } = await execAsync(`docker pull "${container.image}"`);
-            console.log(`Pull output for ${container.image}:`, pullOutput);
-            
-            // Get the new image ID
-            const { stdout: newImageId } = await execAsync(
-                `docker inspect --format '{{.Id}}' "${container.image}"`
-            );
-            
+            await runStep('pull', () => this.pullImage(targetImage, undefined, (pull) => {
+                progress.report('pull', 10 + pull.percent * 0.5, pull.message, { layers: pull.layers });
+            }));
+            const newImageInfo = await runStep('inspect-image', () => this.docker.getImage(targetImage).inspect());
+            result.newImageId = newImageInfo.Id;
+            result.newDigest = newImageInfo.RepoDigests?.[0] || null;
+
             // Check if update is needed
-            if (newImageId.trim() === container.imageId) {
-                return {
-                    success: true,
-                    message: 'No update needed - container is already running the latest image',
-                    updated: false
-                };
+            if (newImageInfo.Id === containerInfo.Image) {
+                result.oldDigest = result.newDigest;
+                result.success = true;
+                result.message = 'No update needed - container is already running the latest image';
+                return finish();
             }
-            
-            // Trigger the update by calling the update script
-            const { stdout: updateOutput } = await execAsync(
-                'cd /usr/local/bin && ./containerpulse-updater.sh update_single_container ' + containerName
-            );
-            
-            return {
-                success: true,
-                message: `Container ${containerName} updated successfully`,
-                updated: true,
-                output: updateOutput
-            };
+
+            // Settings inherited from the old image must not be pinned on the new container
+            const oldImageInfo = await runStep('inspect-old-image', () => this.docker.getImage(containerInfo.Image).inspect());
+            result.oldDigest = oldImageInfo.RepoDigests?.[0] || null;
+            const createOptions = this.buildCreateOptions(containerInfo, targetImage, oldImageInfo.Config);
+            this.setComposeImage(createOptions, newImageInfo.Id);
+
+            // Compare vulnerabilities before anything is changed, so a blocked update needs no rollback.
+            // Only a blocking policy on an automatic update fails when the scan itself fails.
+            const scanPolicy = scanService.getPolicy(containerInfo.Config.Labels);
+            const enforceScan = scanPolicy === 'block' && automatic;
+            if (scanPolicy !== 'off') {
+                result.scan = await runStep('scan', async () => {
+                    let scan;
+                    try {
+                        scan = await scanService.compareImages(this.host.id,
+                            { id: oldImageInfo.Id, reference: result.oldDigest || oldImageInfo.Id },
+                            { id: newImageInfo.Id, reference: result.newDigest || newImageInfo.Id });
+                    } catch (scanError) {
+                        if (enforceScan) {
+                            result.blocked = true;
+                            throw new Error(`Update blocked because the vulnerability scan failed: ${scanError.message}`);
+                        }
+                        console.warn(`Vulnerability scan for ${containerName} failed: ${scanError.message}`);
+                        return { error: scanError.message };
+                    }
+                    // A scan that could not run (remote hosts) proves nothing, so a blocking policy fails it
+                    if (scan.skipped && enforceScan) {
+                        result.scan = scan;
+                        result.blocked = true;
+                        throw new Error(`Update blocked because the vulnerability scan did not run: ${scan.message}`);
+                    }
+                    if (scan.regression && enforceScan) {
+                        result.scan = scan;
+                        result.blocked = true;
+                        throw new Error(`Update blocked by the vulnerability scan policy: ${scan.message}`);
+                    }
+                    return scan;
+                });
+            }
+            const originalName = createOptions.name;
+            const wasRunning = containerInfo.State.Running;
+            const rollbackTimeout = this.getRollbackTimeout(containerInfo.Config.Labels);
+
+            if (wasRunning) {
+                await runStep('stop', () => container.stop());
+            }
+
+            // Archive the volumes of opted-in containers while they are stopped, before anything is replaced
+            if (backupService.isEnabled(containerInfo.Config.Labels)) {
+                try {
+                    result.backup = await runStep('backup', () => backupService.createBackup(this, containerInfo, { digest: result.oldDigest }));
+                } catch (backupError) {
+                    if (wasRunning) {
+                        await container.start().catch(startError => console.error(`Could not restart ${containerName} after the failed backup:`, startError.message));
+                    }
+                    throw new Error(`Update aborted because the volume backup failed: ${backupError.message}`);
+                }
+            }
+
+            // Keep the old container around under another name until the new one has proven itself
+            const backupName = `${originalName}-containerpulse-old-${Date.now()}`;
+            try {
+                await runStep('rename-old', () => container.rename({ name: backupName }));
+            } catch (renameError) {
+                if (wasRunning) {
+                    await container.start().catch(startError => console.error(`Could not restart ${containerName} after the failed rename:`, startError.message));
+                }
+                throw renameError;
+            }
+
+            let newContainer = null;
+            try {
+                newContainer = await runStep('create', () => this.docker.createContainer(createOptions));
+                result.newContainerId = newContainer.id;
+
+                await runStep('connect-networks', () => this.connectAdditionalNetworks(newContainer.id, containerInfo));
+
+                if (wasRunning) {
+                    await runStep('start', () => newContainer.start());
+                    result.health = await runStep('verify', () => this.waitForHealthy(newContainer, rollbackTimeout));
+                }
+            } catch (updateError) {
+                console.warn(`Update of ${containerName} failed, rolling back: ${updateError.message}`);
+                result.rollbackReason = updateError.message;
+
+                try {
+                    await runStep('rollback', () => this.restoreContainer(container, newContainer, originalName, wasRunning));
+                } catch (rollbackError) {
+                    // Tell the user where the previous container is, so it can be put back by hand
+                    const leftName = await container.inspect()
+                        .then(info => info.Name.replace(/^\//, ''))
+                        .catch(() => backupName);
+                    console.error(`Rollback of ${containerName} failed, previous container left as ${leftName}:`, rollbackError.message);
+                    result.rolledBack = false;
+                    result.rollbackError = rollbackError.message;
+                    result.previousContainer = leftName;
+                    throw new Error(`Update failed: ${updateError.message}. Rollback failed too: ${rollbackError.message}. ` +
+                        `The previous container is left as ${leftName}`);
+                }
+                result.rolledBack = true;
+
+                throw new Error(`Update failed and was rolled back: ${updateError.message}`);
+            }
+
+            result.success = true;
+            result.updated = true;
+            result.message = `Container ${containerName} updated successfully`;
+
+            // The new container is in place, so a leftover old container is only worth a warning
+            try {
+                await runStep('remove-old', () => container.remove());
+            } catch (removeError) {
+                console.warn(`Could not remove previous container ${backupName}: ${removeError.message}`);
+                result.warning = `Previous container ${backupName} could not be removed: ${removeError.message}`;
+                result.message = `Container ${containerName} updated successfully, but the previous container ${backupName} is still there`;
+            }
+            return finish();
         } catch (error) {
             console.error(`Error updating container ${containerName}:`, error);
+            result.error = error.message;
+            error.result = finish();
+            throw error;
+        }
+    }
+
+    // Update the containers of a compose project one by one, each service after the services it
+    // depends on. Once a service fails the rest are skipped, since they may depend on it.
+    // onResult receives each updateContainer result (and error) as the update goes along.
+    async updateStack(project, onResult = () => {}) {
+        const containers = (await this.getInventoryContainers()).filter(container => container.composeProject === project);
+        if (containers.length === 0) {
+            throw new Error(`Compose project ${project} not found on ${this.host.name}`);
+        }
+
+        const services = [];
+        let failed = null;
+        for (const container of composeService.orderContainers(containers)) {
+            const entry = { container: container.name, service: container.composeService };
+            services.push(entry);
+
+            if (failed) {
+                entry.status = 'skipped';
+                entry.message = `Not updated because ${failed} failed`;
+            } else if (!container.autoUpdate) {
+                entry.status = 'skipped';
+                entry.message = 'No auto-update label';
+            } else if (this.isLocallyBuiltImage(container.image, container.labels)) {
+                entry.status = 'skipped';
+                entry.message = 'Built by Docker Compose';
+            } else {
+                try {
+                    const result = await this.updateContainer(container.name);
+                    entry.status = result.updated ? 'updated' : 'unchanged';
+                    entry.message = result.message;
+                    entry.result = result;
+                    await onResult(result);
+                } catch (error) {
+                    failed = container.name;
+                    entry.status = 'failed';
+                    entry.message = error.message;
+                    entry.result = error.result;
+                    await onResult(error.result, error);
+                }
+            }
+        }
+
+        return {
+            success: !failed,
+            project,
+            host: this.host.id,
+            hostName: this.host.name,
+            updated: services.filter(entry => entry.status === 'updated').length,
+            services
+        };
+    }
+
+    // Plans for several containers by name, or for every labelled container on this host.
+    // A container that cannot be planned gets an entry with the error instead.
+    async planUpdates(containerNames = []) {
+        const names = containerNames.length > 0
+            ? containerNames
+            : (await this.getInventoryContainers()).filter(container => container.autoUpdate).map(container => container.name);
+
+        return Promise.all(names.map(name => this.planUpdate(name).catch(error => ({
+            container: name,
+            host: this.host.id,
+            hostName: this.host.name,
+            error: error.message
+        }))));
+    }
+
+    // Dry run of updateContainer: what an update would change, worked out from the registry without
+    // pulling or changing anything. blockedBy lists what keeps an automatic update from running.
+    async planUpdate(containerName) {
+        const containerInfo = await this.docker.getContainer(containerName).inspect();
+        const labels = containerInfo.Config.Labels || {};
+        const image = containerInfo.Config.Image;
+        const plan = {
+            container: containerInfo.Name.replace(/^\//, ''),
+            containerId: containerInfo.Id,
+            host: this.host.id,
+            hostName: this.host.name,
+            image,
+            updateApproach: labels['update-approach'] || 'auto',
+            updateAvailable: false,
+            wouldUpdate: false,
+            blockedBy: [],
+            current: { imageId: containerInfo.Image, digest: null, tag: registryService.parseImageReference(image).tag },
+            target: null,
+            configChanges: [],
+            createOptions: null,
+            download: null,
+            // Mounts archived before the update, for containers labelled containerpulse.backup=volumes
+            volumeBackup: backupService.isEnabled(labels) ? backupService.getMounts(containerInfo) : null
+        };
+
+        if (!this.hasAutoUpdateLabel(labels)) {
+            plan.blockedBy.push('No auto-update label');
+        }
+        if (plan.updateApproach === 'notify') {
+            plan.blockedBy.push('update-approach=notify: updates are only notified');
+        }
+        if (this.isLocallyBuiltImage(image, labels)) {
+            plan.blockedBy.push('Built by Docker Compose');
+            return plan;
+        }
+
+        const currentImageInfo = await this.docker.getImage(containerInfo.Image).inspect();
+        plan.current.digest = this.getLocalDigest(currentImageInfo);
+        if (!plan.current.digest) {
+            plan.blockedBy.push('Image was not pulled from a registry');
+            return plan;
+        }
+
+        let targetImage = image;
+        if (versionService.getPolicy(labels)) {
+            plan.tagUpdate = await versionService.checkTagUpdate(image, labels);
+            targetImage = plan.tagUpdate.availableImage || image;
+        }
+
+        const remote = await registryService.inspectRemoteImage(targetImage, await this.getPlatform());
+        const localDigests = (currentImageInfo.RepoDigests || []).map(repoDigest => repoDigest.split('@')[1]);
+        plan.target = {
+            image: targetImage,
+            tag: registryService.parseImageReference(targetImage).tag,
+            imageId: remote.id,
+            digest: remote.platformDigest
+        };
+        plan.updateAvailable = remote.id !== containerInfo.Image
+            && !localDigests.includes(remote.digest)
+            && !localDigests.includes(remote.platformDigest);
+        if (!plan.updateAvailable) {
+            return plan;
+        }
+
+        plan.createOptions = this.buildCreateOptions(containerInfo, targetImage, currentImageInfo.Config);
+        this.setComposeImage(plan.createOptions, remote.id);
+        const planned = this.getEffectiveConfig(plan.createOptions, remote.config);
+        plan.configChanges = [
+            ...this.diffConfig(containerInfo.Config, planned.Config, 'Config'),
+            ...this.diffConfig(containerInfo.HostConfig, planned.HostConfig, 'HostConfig')
+        ];
+        plan.download = this.estimateDownload(remote, currentImageInfo);
+        plan.wouldUpdate = plan.blockedBy.length === 0;
+        return plan;
+    }
+
+    // Configuration a container created from these options would end up with: the options over
+    // the defaults of the image, merged the way Docker merges them
+    getEffectiveConfig(createOptions, imageConfig = {}) {
+        const { name, HostConfig, NetworkingConfig, ...config } = createOptions;
+        const envName = (entry) => entry.split('=')[0];
+        const env = new Map((imageConfig.Env || []).map(entry => [envName(entry), entry]));
+        (config.Env || []).forEach(entry => env.set(envName(entry), entry));
+
+        const effective = {
+            ...config,
+            Env: [...env.values()],
+            Labels: { ...(imageConfig.Labels || {}), ...(config.Labels || {}) }
+        };
+        for (const key of ['Cmd', 'Entrypoint', 'WorkingDir', 'User', 'Healthcheck', 'StopSignal']) {
+            if (effective[key] === undefined && imageConfig[key] !== undefined) {
+                effective[key] = imageConfig[key];
+            }
+        }
+        for (const key of ['ExposedPorts', 'Volumes']) {
+            const merged = { ...(imageConfig[key] || {}), ...(config[key] || {}) };
+            effective[key] = Object.keys(merged).length > 0 ? merged : undefined;
+        }
+
+        return { Config: effective, HostConfig };
+    }
+
+    // Settings that differ between the current and the planned configuration, by path
+    diffConfig(current, planned, prefix) {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (isObject(current) && isObject(planned)) {
+            return [...new Set([...Object.keys(current), ...Object.keys(planned)])]
+                .sort()
+                .flatMap(key => this.diffConfig(current[key], planned[key], `${prefix}.${key}`));
+        }
+        // Docker reports unset values as null, empty strings or empty lists
+        const normalize = (value) => (value === '' || (Array.isArray(value) && value.length === 0) || value === undefined ? null : value);
+        if (JSON.stringify(normalize(current)) === JSON.stringify(normalize(planned))) {
+            return [];
+        }
+        return [{ path: prefix, current: normalize(current), planned: normalize(planned) }];
+    }
+
+    // Compressed size of the new image and of the layers the current image does not already have
+    estimateDownload(remote, currentImageInfo) {
+        const localLayers = new Set(currentImageInfo.RootFS?.Layers || []);
+        const missing = remote.layers.filter((layer, index) => !localLayers.has(remote.diffIds[index]));
+        return {
+            layers: remote.layers.length,
+            newLayers: missing.length,
+            totalBytes: remote.layers.reduce((sum, layer) => sum + layer.size, 0),
+            downloadBytes: missing.reduce((sum, layer) => sum + layer.size, 0)
+        };
+    }
+
+    // Point com.docker.compose.image at the new image so "docker compose up" keeps the container
+    setComposeImage(createOptions, imageId) {
+        if (createOptions.Labels?.[COMPOSE_IMAGE_LABEL]) {
+            createOptions.Labels[COMPOSE_IMAGE_LABEL] = imageId;
+        }
+    }
+
+    // Seconds to wait for an updated container to become healthy, from its label or the global default
+    getRollbackTimeout(labels = {}) {
+        const labelValue = parseInt(labels?.[ROLLBACK_TIMEOUT_LABEL], 10);
+        return labelValue > 0 ? labelValue : ROLLBACK_TIMEOUT;
+    }
+
+    // Wait until a freshly started container is running and, if it has a HEALTHCHECK, healthy
+    async waitForHealthy(container, timeoutSeconds = ROLLBACK_TIMEOUT) {
+        const started = Date.now();
+        const deadline = started + timeoutSeconds * 1000;
+        const stableAt = started + Math.min(STABILITY_PERIOD, timeoutSeconds) * 1000;
+
+        while (true) {
+            const info = await container.inspect();
+            const state = info.State;
+
+            if (!state.Running || state.Restarting || info.RestartCount > 0) {
+                throw new Error(`Container is ${state.Status} (exit code ${state.ExitCode})`);
+            }
+
+            if (state.Health) {
+                if (state.Health.Status === 'healthy') {
+                    return 'healthy';
+                }
+                if (state.Health.Status === 'unhealthy') {
+                    throw new Error('Container healthcheck reported unhealthy');
+                }
+            } else if (Date.now() >= stableAt) {
+                return 'running';
+            }
+
+            if (Date.now() >= deadline) {
+                throw new Error(`Container did not become healthy within ${timeoutSeconds} seconds`);
+            }
+
+            await sleep(1000);
+        }
+    }
+
+    // Put the previous container back in place after a failed update
+    async restoreContainer(oldContainer, newContainer, originalName, wasRunning) {
+        if (newContainer) {
+            await newContainer.remove({ force: true });
+        }
+        await oldContainer.rename({ name: originalName });
+        if (wasRunning) {
+            await oldContainer.start();
+        }
+    }
+
+    // Restore a volume backup: stop the container, replace its volumes with the archive and start
+    // it again. When an update replaced the image since, the container is recreated from the image
+    // it ran when the backup was taken, pulled again by digest if it was removed.
+    async restoreVolumeBackup(containerId, backupId) {
+        try {
+            const containerInfo = await this.inspectContainer(containerId);
+            // By ID, since the name moves to the recreated container
+            const container = this.docker.getContainer(containerInfo.Id);
+            const containerName = containerInfo.Name.replace(/^\//, '');
+            const backup = backupService.getBackup(this.host.id, containerName, backupId);
+            const result = {
+                success: false,
+                containerName,
+                containerId: containerInfo.Id,
+                host: this.host.id,
+                hostName: this.host.name,
+                backup,
+                oldImageId: containerInfo.Image,
+                imageRestored: containerInfo.Image !== backup.imageId
+            };
+
+            // Get the previous image in place first, so a failed pull leaves the container untouched
+            if (result.imageRestored) {
+                await this.pinImage(backup.image, backup.imageId, backup.digest);
+            }
+            if (containerInfo.State.Running) {
+                await container.stop();
+            }
+            await backupService.restoreVolumes(this, containerInfo, backup);
+
+            if (!result.imageRestored) {
+                await container.start();
+                result.success = true;
+                result.message = `Restored the volumes of ${containerName} from the backup of ${backup.createdAt}`;
+                console.log(result.message);
+                return result;
+            }
+
+            const currentImageInfo = await this.docker.getImage(containerInfo.Image).inspect().catch(() => ({ Config: {} }));
+            const createOptions = this.buildCreateOptions(containerInfo, backup.image, currentImageInfo.Config);
+            this.setComposeImage(createOptions, backup.imageId);
+
+            const originalName = createOptions.name;
+            await container.rename({ name: `${originalName}-containerpulse-old-${Date.now()}` });
+            let newContainer = null;
+            try {
+                newContainer = await this.docker.createContainer(createOptions);
+                await this.connectAdditionalNetworks(newContainer.id, containerInfo);
+                await newContainer.start();
+                result.health = await this.waitForHealthy(newContainer, this.getRollbackTimeout(containerInfo.Config.Labels));
+            } catch (startError) {
+                await this.restoreContainer(container, newContainer, originalName, true);
+                throw new Error(`Volumes were restored, but the previous image could not be started (${startError.message}); ${containerName} was started again with its current image`);
+            }
+            await container.remove();
+
+            result.success = true;
+            result.newContainerId = newContainer.id;
+            result.message = `Restored the volumes of ${containerName} from the backup of ${backup.createdAt} and started it with ${backup.image} (${backup.imageId.replace('sha256:', '').substring(0, 12)})`;
+            console.log(result.message);
+            return result;
+        } catch (error) {
+            console.error(`Error restoring backup ${backupId} of container ${containerId}:`, error.message);
             throw error;
         }
     }
 
+    // Make an image reference point at imageId again, pulling the image by digest when it is gone
+    async pinImage(reference, imageId, digest) {
+        let imageInfo = await this.docker.getImage(imageId).inspect().catch(() => null);
+        if (!imageInfo) {
+            if (!digest) {
+                throw new Error(`Image ${imageId} is no longer available and has no registry digest to pull it by`);
+            }
+            await this.pullImage(digest);
+            imageInfo = await this.docker.getImage(digest).inspect();
+        }
+
+        // References by digest always point at the same image
+        if (reference.includes('@')) {
+            return;
+        }
+        const tagged = await this.docker.getImage(reference).inspect().catch(() => null);
+        if (!tagged || tagged.Id !== imageInfo.Id) {
+            const tagIndex = reference.lastIndexOf(':');
+            const hasTag = tagIndex > reference.lastIndexOf('/');
+            await this.docker.getImage(imageInfo.Id).tag({
+                repo: hasTag ? reference.substring(0, tagIndex) : reference,
+                tag: hasTag ? reference.substring(tagIndex + 1) : 'latest'
+            });
+        }
+    }
+
+    // Pull an image through the Docker API, authenticating against its registry when
+    // credentials are configured, and wait for the pull to complete. The timeout applies
+    // to inactivity, so large images keep pulling as long as layers make progress.
+    // onProgress receives { percent, message, layers } aggregated over all layers.
+    async pullImage(imageName, timeoutMs = 60000, onProgress = null) {
+        const { registry } = registryService.parseImageReference(imageName);
+        const authconfig = await credentialService.getAuthConfig(registry);
+        const pullStream = await this.docker.pull(imageName, authconfig ? { authconfig } : {});
+        const layers = new Map();
+        let lastReport = 0;
+
+        return new Promise((resolve, reject) => {
+            let timeout;
+            const resetTimeout = () => {
+                clearTimeout(timeout);
+                timeout = setTimeout(() => {
+                    pullStream.destroy();
+                    reject(new Error(`Image pull timeout (no progress for ${timeoutMs / 1000} seconds)`));
+                }, timeoutMs);
+            };
+            resetTimeout();
+
+            this.docker.modem.followProgress(pullStream, (err, output) => {
+                clearTimeout(timeout);
+                if (err) {
+                    reject(new Error(`Pull failed: ${err.message || err}`));
+                } else {
+                    resolve(output);
+                }
+            }, (event) => {
+                resetTimeout();
+                if (!onProgress || !event.id) {
+                    return;
+                }
+
+                this.trackLayer(layers, event);
+                // Throttle progress reports; a pull emits an event for every chunk of every layer
+                if (Date.now() - lastReport >= 250) {
+                    lastReport = Date.now();
+                    onProgress(this.summarizePull(imageName, layers));
+                }
+            });
+        });
+    }
+
+    // Keep byte counts per layer from docker pull progress events
+    trackLayer(layers, event) {
+        const layer = layers.get(event.id) || { current: 0, total: 0, done: false };
+        const { current, total } = event.progressDetail || {};
+
+        if (event.status === 'Downloading' && total) {
+            layer.current = current;
+            layer.total = total;
+        } else if (['Download complete', 'Pull complete', 'Already exists'].includes(event.status)) {
+            layer.current = layer.total;
+            layer.done = true;
+        }
+        layers.set(event.id, layer);
+    }
+
+    summarizePull(imageName, layers) {
+        const entries = [...layers.values()];
+        const total = entries.reduce((sum, layer) => sum + layer.total, 0);
+        const current = entries.reduce((sum, layer) => sum + layer.current, 0);
+        const done = entries.filter(layer => layer.done).length;
+        const percent = entries.length === 0 ? 0 : total > 0
+            ? (current / total) * 100
+            : (done / entries.length) * 100;
+
+        return {
+            percent,
+            message: `Pulling ${imageName}: ${done}/${entries.length} layers`,
+            layers: { done, total: entries.length }
+        };
+    }
+
+    // Build createContainer options that reproduce an existing container on a new image.
+    // imageConfig is the Config of the image the container was created from; values the
+    // container merely inherited from it are dropped so the new image's defaults apply.
+    buildCreateOptions(containerInfo, image, imageConfig = {}) {
+        const config = JSON.parse(JSON.stringify(containerInfo.Config));
+        const hostConfig = JSON.parse(JSON.stringify(containerInfo.HostConfig));
+        imageConfig = imageConfig || {};
+
+        config.Image = image;
+
+        const imageEnv = new Set(imageConfig.Env || []);
+        config.Env = (config.Env || []).filter(env => !imageEnv.has(env));
+
+        // Compose labels always stay, so "docker compose" still recognises the recreated container
+        const imageLabels = imageConfig.Labels || {};
+        config.Labels = Object.fromEntries(
+            Object.entries(config.Labels || {}).filter(([key, value]) => key.startsWith('com.docker.compose.') || imageLabels[key] !== value)
+        );
+
+        for (const key of ['Cmd', 'Entrypoint', 'WorkingDir', 'User', 'Healthcheck', 'StopSignal']) {
+            if (config[key] !== undefined && JSON.stringify(config[key]) === JSON.stringify(imageConfig[key])) {
+                delete config[key];
+            }
+        }
+
+        for (const key of ['ExposedPorts', 'Volumes']) {
+            const inherited = imageConfig[key] || {};
+            const remaining = Object.keys(config[key] || {}).filter(entry => !(entry in inherited));
+            config[key] = remaining.length > 0 ? Object.fromEntries(remaining.map(entry => [entry, {}])) : undefined;
+        }
+
+        // Docker defaults the hostname to the short container ID; let the new container get its own
+        const networkMode = hostConfig.NetworkMode || 'default';
+        if (config.Hostname === containerInfo.Id.substring(0, 12) || networkMode.startsWith('container:')) {
+            delete config.Hostname;
+            delete config.Domainname;
+        }
+
+        // Inspect reports links as "/target:/container/alias"; create expects "target:alias"
+        if (Array.isArray(hostConfig.Links)) {
+            hostConfig.Links = hostConfig.Links.map(link => {
+                const [target, alias] = link.split(':');
+                return `${target.replace(/^\//, '')}:${alias.split('/').pop()}`;
+            });
+        }
+
+        // Keep anonymous volumes attached instead of letting Docker create empty ones
+        const declaredTargets = new Set([
+            ...(hostConfig.Binds || []).map(bind => bind.split(':')[1]),
+            ...(hostConfig.Mounts || []).map(mount => mount.Target)
+        ]);
+        const anonymousVolumes = (containerInfo.Mounts || [])
+            .filter(mount => mount.Type === 'volume' && !declaredTargets.has(mount.Destination))
+            .map(mount => ({
+                Type: 'volume',
+                Source: mount.Name,
+                Target: mount.Destination,
+                ReadOnly: !mount.RW
+            }));
+        if (anonymousVolumes.length > 0) {
+            hostConfig.Mounts = [...(hostConfig.Mounts || []), ...anonymousVolumes];
+        }
+
+        const options = {
+            name: containerInfo.Name.replace(/^\//, ''),
+            ...config,
+            HostConfig: hostConfig
+        };
+
+        // Only one network can be attached at creation time; the rest are connected afterwards
+        const primaryNetwork = this.getPrimaryNetwork(containerInfo);
+        if (primaryNetwork) {
+            options.NetworkingConfig = {
+                EndpointsConfig: {
+                    [primaryNetwork]: this.buildEndpointConfig(containerInfo, primaryNetwork)
+                }
+            };
+        }
+
+        return options;
+    }
+
+    getPrimaryNetwork(containerInfo) {
+        const networkMode = containerInfo.HostConfig.NetworkMode || 'default';
+        if (networkMode === 'host' || networkMode === 'none' || networkMode.startsWith('container:')) {
+            return null;
+        }
+
+        const networks = Object.keys(containerInfo.NetworkSettings?.Networks || {});
+        if (networks.includes(networkMode)) {
+            return networkMode;
+        }
+        return networkMode === 'default' && networks.includes('bridge') ? 'bridge' : networks[0] || null;
+    }
+
+    buildEndpointConfig(containerInfo, networkName) {
+        const endpoint = containerInfo.NetworkSettings.Networks[networkName] || {};
+        const shortId = containerInfo.Id.substring(0, 12);
+
+        // Docker adds the short container ID as an alias on user-defined networks
+        const aliases = (endpoint.Aliases || []).filter(alias => alias !== shortId);
+
+        return {
+            IPAMConfig: endpoint.IPAMConfig || undefined,
+            Links: endpoint.Links || undefined,
+            Aliases: aliases.length > 0 ? aliases : undefined,
+            DriverOpts: endpoint.DriverOpts || undefined
+        };
+    }
+
+    async connectAdditionalNetworks(containerId, containerInfo) {
+        const primaryNetwork = this.getPrimaryNetwork(containerInfo);
+        if (!primaryNetwork) {
+            return [];
+        }
+
+        const additionalNetworks = Object.keys(containerInfo.NetworkSettings.Networks)
+            .filter(networkName => networkName !== primaryNetwork);
+
+        for (const networkName of additionalNetworks) {
+            await this.docker.getNetwork(networkName).connect({
+                Container: containerId,
+                EndpointConfig: this.buildEndpointConfig(containerInfo, networkName)
+            });
+        }
+
+        return additionalNetworks;
+    }
+
     hasAutoUpdateLabel(labels) {
         if (!labels) return false;
         
@@ -225,25 +1195,252 @@ class DockerService {
 
     async getDockerInfo() {
         try {
-            const { stdout } = await execAsync('docker info --format "{{json .}}"');
-            return JSON.parse(stdout);
+            return await this.docker.info();
         } catch (error) {
-            console.error('Error getting Docker info:', error);
+            console.error(`Error getting Docker info from ${this.host.name}:`, error);
             throw error;
         }
     }
 
-    async getContainerLogs(containerName, lines = 100) {
+    // Docker log options from API query values. since and until take Unix seconds, RFC 3339 times
+    // or durations before now ("15m", "2h", "1d"); stdout and stderr are on unless "false".
+    parseLogOptions(query = {}) {
+        const tail = query.tail === undefined || query.tail === '' ? '200' : String(query.tail);
+        if (tail !== 'all' && !/^\d+$/.test(tail)) {
+            throw new Error(`Invalid tail "${tail}": use a number of lines or "all"`);
+        }
+        const options = {
+            tail,
+            stdout: query.stdout !== 'false',
+            stderr: query.stderr !== 'false',
+            timestamps: query.timestamps !== 'false'
+        };
+        if (!options.stdout && !options.stderr) {
+            throw new Error('Select at least one of stdout and stderr');
+        }
+        if (query.since) {
+            options.since = this.parseLogTime(query.since);
+        }
+        if (query.until) {
+            options.until = this.parseLogTime(query.until);
+        }
+        return options;
+    }
+
+    // Docker takes "seconds.nanoseconds"; nanoseconds of RFC 3339 times are kept so a follow-up
+    // request can start exactly at the last entry it has seen
+    parseLogTime(value) {
+        const text = String(value).trim();
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            return text;
+        }
+
+        const duration = text.match(/^(\d+)([smhd])$/);
+        if (duration) {
+            const seconds = parseInt(duration[1], 10) * { s: 1, m: 60, h: 3600, d: 86400 }[duration[2]];
+            return String(Math.floor(Date.now() / 1000) - seconds);
+        }
+
+        const fraction = text.match(/\.(\d{1,9})\d*/);
+        const milliseconds = Date.parse(text.replace(/\.\d+/, ''));
+        if (Number.isNaN(milliseconds)) {
+            throw new Error(`Invalid time "${text}": use Unix seconds, an RFC 3339 time or a duration such as 15m`);
+        }
+        return `${Math.floor(milliseconds / 1000)}.${(fraction ? fraction[1] : '').padEnd(9, '0')}`;
+    }
+
+    // Log entries ({ stream, time, text }, one per line) of a container, oldest first
+    async getContainerLogs(containerId, options = {}) {
         try {
-            const { stdout } = await execAsync(`docker logs --tail ${lines} "${containerName}"`);
-            return stdout;
+            const container = this.docker.getContainer(containerId);
+            const info = await container.inspect();
+            const output = await container.logs(this.getDockerLogOptions(options, false));
+
+            const entries = [];
+            const parser = this.createLogParser(options, entry => entries.push(entry));
+            if (info.Config.Tty) {
+                parser.push('stdout', output);
+            } else {
+                this.demuxLogs(output).forEach(chunk => parser.push(chunk.stream, chunk.data));
+            }
+            parser.flush();
+
+            return {
+                container: info.Name.replace(/^\//, ''),
+                containerId: info.Id,
+                host: this.host.id,
+                hostName: this.host.name,
+                tty: Boolean(info.Config.Tty),
+                entries
+            };
         } catch (error) {
-            console.error(`Error getting logs for ${containerName}:`, error);
+            console.error(`Error getting logs for ${containerId}:`, error);
             throw error;
         }
     }
 
+    // Stream new log entries to onEntry until the container stops (onEnd) or the returned
+    // function is called
+    async followContainerLogs(containerId, options, onEntry, onEnd) {
+        const container = this.docker.getContainer(containerId);
+        const info = await container.inspect();
+        const stream = await container.logs(this.getDockerLogOptions(options, true));
+        const parser = this.createLogParser(options, onEntry);
+
+        if (info.Config.Tty) {
+            stream.on('data', chunk => parser.push('stdout', chunk));
+        } else {
+            const stdout = new PassThrough();
+            const stderr = new PassThrough();
+            stdout.on('data', chunk => parser.push('stdout', chunk));
+            stderr.on('data', chunk => parser.push('stderr', chunk));
+            this.docker.modem.demuxStream(stream, stdout, stderr);
+        }
+
+        let ended = false;
+        const end = (error) => {
+            if (!ended) {
+                ended = true;
+                parser.flush();
+                onEnd(error);
+            }
+        };
+        stream.on('end', () => end());
+        stream.on('error', error => end(error));
+
+        return () => {
+            ended = true;
+            stream.destroy();
+        };
+    }
+
+    getDockerLogOptions(options, follow) {
+        return {
+            follow,
+            stdout: options.stdout !== false,
+            stderr: options.stderr !== false,
+            // Timestamps are always requested so entries can be ordered and resumed
+            timestamps: true,
+            tail: options.tail || '200',
+            ...(options.since ? { since: options.since } : {}),
+            ...(options.until ? { until: options.until } : {})
+        };
+    }
+
+    // Split log output into lines per stream; a line may arrive in several chunks
+    createLogParser(options, onEntry) {
+        const partial = { stdout: '', stderr: '' };
+        // Decoders keep multi-byte characters intact across chunks
+        const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+        const emit = (stream, line) => {
+            const text = line.replace(/\r$/, '');
+            const space = text.indexOf(' ');
+            const time = space > 0 ? text.substring(0, space) : text;
+            onEntry({
+                stream,
+                ...(options.timestamps === false ? {} : { time }),
+                text: space > 0 ? text.substring(space + 1) : ''
+            });
+        };
+
+        return {
+            push(stream, data) {
+                const lines = (partial[stream] + decoders[stream].write(data)).split('\n');
+                partial[stream] = lines.pop();
+                lines.forEach(line => emit(stream, line));
+            },
+            flush() {
+                for (const stream of Object.keys(partial)) {
+                    partial[stream] += decoders[stream].end();
+                    if (partial[stream]) {
+                        emit(stream, partial[stream]);
+                        partial[stream] = '';
+                    }
+                }
+            }
+        };
+    }
+
+    // Without a TTY, Docker prefixes each chunk of log output with an 8-byte header (stream type and length)
+    demuxLogs(buffer) {
+        const chunks = [];
+        let offset = 0;
+        while (offset + 8 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset + 4);
+            chunks.push({
+                stream: buffer[offset] === 2 ? 'stderr' : 'stdout',
+                data: buffer.subarray(offset + 8, offset + 8 + length)
+            });
+            offset += 8 + length;
+        }
+        return chunks;
+    }
+
+    // One resource usage sample of every running, unpaused container
+    async sampleStats() {
+        const containers = (await this.getInventoryContainers()).filter(container => container.state.Running && !container.state.Paused);
+        const samples = await Promise.all(containers.map(async (container) => {
+            try {
+                const stats = await this.docker.getContainer(container.id).stats({ stream: false });
+                return { containerName: container.name, ...this.parseStats(container.id, stats) };
+            } catch (error) {
+                // The container may have stopped since it was listed
+                return null;
+            }
+        }));
+        return samples.filter(Boolean);
+    }
+
+    // CPU, memory, network, block I/O and process counts from a Docker stats response, computed
+    // the way "docker stats" does. Network and block I/O are totals since the container started.
+    parseStats(containerId, stats) {
+        const cpuDelta = (stats.cpu_stats?.cpu_usage?.total_usage || 0) - (stats.precpu_stats?.cpu_usage?.total_usage || 0);
+        const systemDelta = (stats.cpu_stats?.system_cpu_usage || 0) - (stats.precpu_stats?.system_cpu_usage || 0);
+        const cpus = stats.cpu_stats?.online_cpus || stats.cpu_stats?.cpu_usage?.percpu_usage?.length || 1;
+        const memory = stats.memory_stats || {};
+        // Page cache that can be reclaimed is not counted as used (cgroup v1 and v2 names)
+        const cache = memory.stats?.total_inactive_file ?? memory.stats?.inactive_file ?? 0;
+        const memoryUsage = Math.max(0, (memory.usage || 0) - cache);
+        const networks = Object.values(stats.networks || {});
+        const blockIo = stats.blkio_stats?.io_service_bytes_recursive || [];
+        const sumBlockIo = (op) => blockIo.filter(entry => String(entry.op).toLowerCase() === op).reduce((sum, entry) => sum + entry.value, 0);
+
+        return {
+            containerId,
+            time: stats.read && !stats.read.startsWith('0001') ? new Date(stats.read).toISOString() : new Date().toISOString(),
+            cpuPercent: cpuDelta > 0 && systemDelta > 0 ? (cpuDelta / systemDelta) * cpus * 100 : 0,
+            memoryUsage,
+            memoryLimit: memory.limit || null,
+            memoryPercent: memory.limit ? (memoryUsage / memory.limit) * 100 : null,
+            networkRx: networks.reduce((sum, network) => sum + (network.rx_bytes || 0), 0),
+            networkTx: networks.reduce((sum, network) => sum + (network.tx_bytes || 0), 0),
+            blockRead: sumBlockIo('read'),
+            blockWrite: sumBlockIo('write'),
+            pids: stats.pids_stats?.current ?? null
+        };
+    }
+
+    // Check a container for an update, reporting progress to live dashboard streams
     async checkForUpdates(containerId) {
+        const progress = eventService.trackProgress('check', containerId, this.host.id);
+        const started = Date.now();
+        progress.report('inspect', 10, 'Inspecting container');
+        try {
+            const result = { ...await this.runUpdateCheck(containerId, progress), host: this.host.id, hostName: this.host.name };
+            metricsService.recordCheck(this.host.name, result, Date.now() - started);
+            progress.report('done', 100, result.message || (result.updateAvailable ? 'Update available' : 'Up to date'), {
+                success: !result.error,
+                updateAvailable: result.updateAvailable
+            });
+            return result;
+        } catch (error) {
+            metricsService.recordCheck(this.host.name, null, Date.now() - started);
+            progress.report('failed', 100, error.message, { success: false });
+            throw error;
+        }
+    }
+
+    async runUpdateCheck(containerId, progress) {
         try {
             console.log(`Checking updates for container: ${containerId}`);
             
@@ -256,6 +1453,8 @@ class DockerService {
             const container = await this.getContainer(containerId);
             const containerInfo = await container.inspect();
             console.log(`Container found: ${containerInfo.Name}, Image: ${containerInfo.Config.Image}`);
+            progress.container = containerInfo.Name.replace(/^\//, '');
+            progress.containerId = containerInfo.Id;
             
             // Get current image
             const currentImage = containerInfo.Config.Image;
@@ -263,84 +1462,87 @@ class DockerService {
                 throw new Error('Container has no image information');
             }
             
-            // Check if this is a locally built image (Docker Compose generates names like "project_service")
-            const isLocallyBuilt = currentImage.includes('_') || currentImage.includes('-') && !currentImage.includes('/');
-            
-            if (isLocallyBuilt) {
-                console.log(`Image ${currentImage} appears to be locally built. Skipping update check.`);
+            // Services with a build: section get their image from "docker compose build", not a registry
+            if (this.isLocallyBuiltImage(currentImage, containerInfo.Config.Labels)) {
+                console.log(`Image ${currentImage} is built by Docker Compose. Skipping update check.`);
                 return {
                     containerId,
                     containerName: containerInfo.Name,
                     currentImage,
-                    currentImageId: 'locally-built',
-                    latestImageId: 'locally-built',
+                    currentImageId: containerInfo.Image,
+                    currentDigest: null,
+                    latestDigest: null,
                     updateAvailable: false,
                     isLocallyBuilt: true,
-                    message: 'This container uses a locally built image. No updates available from registry.',
+                    message: 'This container is built by Docker Compose. Rebuild it with "docker compose build" to update it.',
                     checkedAt: new Date().toISOString()
                 };
             }
             
             let currentImageInfo;
             try {
-                currentImageInfo = await docker.getImage(currentImage).inspect();
+                currentImageInfo = await this.docker.getImage(containerInfo.Image).inspect();
             } catch (imageError) {
                 console.error(`Error inspecting current image ${currentImage}:`, imageError);
                 throw new Error(`Failed to inspect current image: ${currentImage}`);
             }
             
             console.log(`Current image ID: ${currentImageInfo.Id}`);
+            const currentDigest = this.getLocalDigest(currentImageInfo);
             
-            // Only try to pull if it's a registry image (contains / or is a known registry format)
-            if (!currentImage.includes('/') && !currentImage.match(/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/)) {
-                console.log(`Image ${currentImage} doesn't appear to be from a registry. Skipping pull.`);
+            // Images that were never pulled have no registry digest to compare against
+            if (!currentDigest) {
+                console.log(`Image ${currentImage} has no registry digest. Skipping registry check.`);
                 return {
                     containerId,
                     containerName: containerInfo.Name,
                     currentImage,
                     currentImageId: currentImageInfo.Id,
-                    latestImageId: currentImageInfo.Id,
+                    currentDigest: null,
+                    latestDigest: null,
                     updateAvailable: false,
                     isLocallyBuilt: true,
-                    message: 'This image is not from a public registry. No updates available.',
+                    message: 'This image was not pulled from a registry. No updates available.',
                     checkedAt: new Date().toISOString()
                 };
             }
             
-            // Pull latest image with timeout
+            // Ask the registry which digest the tag currently points to
+            let remote;
             try {
-                console.log(`Pulling latest image: ${currentImage}`);
-                const pullStream = await docker.pull(currentImage);
+                console.log(`Checking registry digest for: ${currentImage}`);
+                progress.report('registry', 40, `Querying registry for ${currentImage}`);
+                remote = await registryService.checkImage(currentImage, currentImageInfo, await this.getPlatform());
+            } catch (registryError) {
+                console.error(`Error querying registry for ${currentImage}:`, registryError);
                 
-                // Wait for pull to complete with timeout
-                await new Promise((resolve, reject) => {
-                    const timeout = setTimeout(() => {
-                        reject(new Error('Image pull timeout (60 seconds)'));
-                    }, 60000);
-                    
-                    docker.modem.followProgress(pullStream, (err, output) => {
-                        clearTimeout(timeout);
-                        if (err) {
-                            console.error('Pull error:', err);
-                            reject(new Error(`Pull failed: ${err.message || err}`));
-                        } else {
-                            console.log('Pull completed successfully');
-                            resolve(output);
-                        }
-                    });
-                });
-            } catch (pullError) {
-                console.error(`Error pulling image ${currentImage}:`, pullError);
+                // Without registry access we cannot tell whether an update exists
+                if (registryError.statusCode === 401 || registryError.statusCode === 403) {
+                    return {
+                        containerId,
+                        containerName: containerInfo.Name,
+                        currentImage,
+                        currentImageId: currentImageInfo.Id,
+                        currentDigest,
+                        latestDigest: null,
+                        updateAvailable: false,
+                        isLocallyBuilt: false,
+                        error: registryError.message,
+                        message: 'Registry access denied. Add credentials for this registry in Settings.',
+                        checkedAt: new Date().toISOString()
+                    };
+                }
                 
-                // If it's a 404 or authentication error, treat as locally built
-                if (pullError.statusCode === 404 || pullError.message.includes('pull access denied')) {
+                // If the repository does not exist in the registry, treat as locally built
+                if (registryError.statusCode === 404) {
                     console.log(`Image ${currentImage} not found in registry. Treating as locally built.`);
                     return {
                         containerId,
                         containerName: containerInfo.Name,
                         currentImage,
                         currentImageId: currentImageInfo.Id,
-                        latestImageId: currentImageInfo.Id,
+                        currentDigest,
+                        latestDigest: currentDigest,
                         updateAvailable: false,
                         isLocallyBuilt: true,
                         message: 'This image is not available in any public registry. Likely locally built.',
@@ -348,22 +1550,15 @@ class DockerService {
                     };
                 }
                 
-                throw new Error(`Failed to pull latest image: ${pullError.message}`);
+                throw new Error(`Failed to query registry: ${registryError.message}`);
             }
             
-            // Get latest image info
-            let latestImageInfo;
-            try {
-                latestImageInfo = await docker.getImage(currentImage).inspect();
-            } catch (latestImageError) {
-                console.error(`Error inspecting latest image ${currentImage}:`, latestImageError);
-                throw new Error(`Failed to inspect latest image: ${currentImage}`);
-            }
+            const latestDigest = remote.platformDigest || remote.remoteDigest;
+            console.log(`Latest digest: ${latestDigest}`);
             
-            console.log(`Latest image ID: ${latestImageInfo.Id}`);
-            
-            // Compare digests to check if update is available
-            const updateAvailable = currentImageInfo.Id !== latestImageInfo.Id;
+            progress.report('tag-policy', 80, 'Checking version tags');
+            const tagUpdate = await this.checkTagPolicy(currentImage, containerInfo.Config.Labels);
+            const updateAvailable = remote.updateAvailable || Boolean(tagUpdate?.availableTag);
             
             // Check update approach label
             const updateApproach = containerInfo.Config.Labels?.['update-approach'] || 'auto';
@@ -373,12 +1568,19 @@ class DockerService {
                 containerName: containerInfo.Name,
                 currentImage,
                 currentImageId: currentImageInfo.Id,
-                latestImageId: latestImageInfo.Id,
+                currentDigest,
+                latestDigest,
                 updateAvailable,
+                tagUpdate,
                 updateApproach,
                 isLocallyBuilt: false,
                 checkedAt: new Date().toISOString()
             };
+
+            if (updateAvailable) {
+                progress.report('image-diff', 90, 'Comparing image metadata');
+                result.imageDiff = await this.diffWithRegistry(currentImageInfo, tagUpdate?.availableImage || currentImage);
+            }
             
             if (updateAvailable && updateApproach === 'notify') {
                 result.message = 'Update available - notification mode enabled (update-approach=notify)';
@@ -394,6 +1596,56 @@ class DockerService {
         }
     }
 
+    // What changes between a container's image and the image an update would bring
+    async getImageDiff(containerId) {
+        const containerInfo = await this.inspectContainer(containerId);
+        const labels = containerInfo.Config.Labels || {};
+        const currentImageInfo = await this.docker.getImage(containerInfo.Image).inspect();
+
+        let targetImage = containerInfo.Config.Image;
+        if (versionService.getPolicy(labels)) {
+            const tagUpdate = await versionService.checkTagUpdate(targetImage, labels);
+            targetImage = tagUpdate.availableImage || targetImage;
+        }
+        return this.diffWithRegistry(currentImageInfo, targetImage);
+    }
+
+    // Metadata diff against an image in the registry; failures are reported in the result, not thrown
+    async diffWithRegistry(currentImageInfo, targetImage) {
+        try {
+            const remote = await registryService.inspectRemoteImage(targetImage, await this.getPlatform());
+            return { image: targetImage, imageId: remote.id, ...changelogService.diffImages(currentImageInfo, remote) };
+        } catch (error) {
+            console.warn(`Could not compare image metadata with ${targetImage}: ${error.message}`);
+            return { image: targetImage, error: error.message };
+        }
+    }
+
+    // Latest vulnerability scan of the image a container runs; with scan set, the image is
+    // scanned again first
+    async getContainerScan(containerId, { scan = false } = {}) {
+        const containerInfo = await this.inspectContainer(containerId);
+        const labels = containerInfo.Config.Labels || {};
+
+        if (scan) {
+            scanService.assertCanScan(this.host.id);
+            const imageInfo = await this.docker.getImage(containerInfo.Image).inspect();
+            await scanService.scanImage(this.host.id, containerInfo.Image, imageInfo.RepoDigests?.[0] || containerInfo.Image, { refresh: true });
+        }
+
+        return {
+            container: containerInfo.Name.replace(/^\//, ''),
+            containerId: containerInfo.Id,
+            host: this.host.id,
+            hostName: this.host.name,
+            image: containerInfo.Config.Image,
+            imageId: containerInfo.Image,
+            scanner: scanService.getConfig(),
+            policy: scanService.getPolicy(labels),
+            scan: scanService.getResult(this.host.id, containerInfo.Image)
+        };
+    }
+
     async inspectContainer(containerId) {
         try {
             const container = await this.getContainer(containerId);
@@ -404,52 +1656,215 @@ class DockerService {
         }
     }
 
-    // Check if an image is locally built (Docker Compose or custom built)
-    isLocallyBuiltImage(imageName) {
-        // Images without registry (no slash or dot before first slash) are likely locally built
-        // Examples: "myapp", "docker_watcherr-containerpulse", etc.
-        // Standard Docker Hub images: "nginx", "alpine", "postgres" are NOT locally built
-        // Registry images typically have format: "registry.com/user/repo" or "user/repo"
-        
-        if (!imageName || typeof imageName !== 'string') {
-            return false;
+    isProtected(labels = {}) {
+        return String(labels?.[PROTECTED_LABEL] || '').toLowerCase() === 'true';
+    }
+
+    // Refuse stop, restart, pause and remove on protected containers; the error carries a 403 status
+    assertActionAllowed(containerInfo, action) {
+        if (DESTRUCTIVE_ACTIONS.includes(action) && this.isProtected(containerInfo.Config.Labels)) {
+            const verb = action === 'remove' ? 'removed' : CONTAINER_ACTIONS[action];
+            const error = new Error(`Container ${containerInfo.Name.replace(/^\//, '')} is protected by the ${PROTECTED_LABEL} label and cannot be ${verb}`);
+            error.statusCode = 403;
+            throw error;
         }
-        
-        // If the image name contains a registry domain (has dots)
-        if (imageName.includes('.') && imageName.indexOf('/') > imageName.indexOf('.')) {
-            return false;
+    }
+
+    // Start, stop, restart, pause or unpause a container
+    async runContainerAction(containerId, action) {
+        if (!CONTAINER_ACTIONS[action]) {
+            throw new Error(`Unknown container action: ${action}`);
         }
-        
-        // If it's a standard Docker Hub image (single name or user/repo format without dots)
-        const parts = imageName.split('/');
-        if (parts.length === 1) {
-            // Single name - check for custom patterns (underscore, hyphen, compose patterns)
-            // Standard images like "nginx", "alpine" should NOT be considered locally built
-            return imageName.includes('-') || imageName.includes('_');
+
+        try {
+            const container = await this.getContainer(containerId);
+            const containerInfo = await container.inspect();
+            const containerName = containerInfo.Name.replace(/^\//, '');
+            this.assertActionAllowed(containerInfo, action);
+
+            let message = `Container ${containerName} ${CONTAINER_ACTIONS[action]}`;
+            try {
+                await container[action]();
+            } catch (error) {
+                // Docker answers 304 when the container already is in the requested state
+                if (error.statusCode !== 304) {
+                    throw error;
+                }
+                message = `Container ${containerName} was already ${CONTAINER_ACTIONS[action]}`;
+            }
+            console.log(message);
+
+            return {
+                success: true,
+                action,
+                containerName,
+                containerId: containerInfo.Id,
+                host: this.host.id,
+                hostName: this.host.name,
+                message
+            };
+        } catch (error) {
+            console.error(`Error running ${action} on container ${containerId}:`, error.message);
+            throw error;
         }
-        
-        if (parts.length === 2 && !parts[0].includes('.')) {
-            // Format: user/repo - likely Docker Hub
-            return false;
+    }
+
+    // Remove a container; force stops it first, volumes also removes its anonymous volumes
+    async removeContainer(containerId, { force = false, volumes = false } = {}) {
+        try {
+            const container = await this.getContainer(containerId);
+            const containerInfo = await container.inspect();
+            const containerName = containerInfo.Name.replace(/^\//, '');
+            this.assertActionAllowed(containerInfo, 'remove');
+
+            await container.remove({ force, v: volumes });
+            console.log(`Removed container ${containerName}`);
+
+            return {
+                success: true,
+                action: 'remove',
+                containerName,
+                containerId: containerInfo.Id,
+                host: this.host.id,
+                hostName: this.host.name,
+                message: `Container ${containerName} removed${volumes ? ' with its anonymous volumes' : ''}`
+            };
+        } catch (error) {
+            console.error(`Error removing container ${containerId}:`, error.message);
+            throw error;
         }
-        
-        // Everything else is likely locally built
-        return true;
+    }
+
+    // Local images with their tags, size, age and the containers (running or not) using them. The
+    // repository comes from the first tag, or from the digest that untagged old versions keep.
+    async listImages() {
+        try {
+            const [images, containers] = await Promise.all([
+                this.docker.listImages(),
+                this.listContainers({ all: true })
+            ]);
+            const usedBy = new Map();
+            for (const container of containers) {
+                usedBy.set(container.ImageID, [...(usedBy.get(container.ImageID) || []), container.Names[0].replace(/^\//, '')]);
+            }
+
+            return images.map(image => {
+                const tags = (image.RepoTags || []).filter(tag => tag !== '<none>:<none>');
+                const digests = (image.RepoDigests || []).filter(digest => digest !== '<none>@<none>');
+                const reference = tags[0] || digests[0];
+                return {
+                    id: image.Id,
+                    tags,
+                    digests,
+                    repository: reference ? reference.replace(/@.*$/, '').replace(/:[^:/]+$/, '') : null,
+                    size: image.Size,
+                    created: new Date(image.Created * 1000).toISOString(),
+                    containers: usedBy.get(image.Id) || []
+                };
+            });
+        } catch (error) {
+            console.error(`Error listing images of ${this.host.name}:`, error);
+            throw error;
+        }
+    }
+
+    // Remove an image by ID, or untag one of its references (tag or digest); Docker deletes the image
+    // with its last reference and refuses images still used by a container
+    async removeImage(reference) {
+        try {
+            await this.docker.getImage(reference).remove();
+            console.log(`Removed image ${reference}`);
+        } catch (error) {
+            console.warn(`Could not remove image ${reference}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Whether a container's image is built by Docker Compose (a service with a build: section).
+    // Other images built locally are recognised by having no registry digest.
+    isLocallyBuiltImage(imageName, labels = {}) {
+        return composeService.isBuiltService(labels, imageName, this.host.id);
+    }
+
+    // Forward Docker container events to live dashboard streams, reconnecting when the stream ends
+    async watchEvents() {
+        if (this.eventStream || this.removed) {
+            return;
+        }
+
+        const reconnect = () => {
+            this.eventStream = null;
+            this.invalidateInventory();
+            if (!this.removed) {
+                setTimeout(() => this.watchEvents(), EVENT_RECONNECT_DELAY);
+            }
+        };
+
+        try {
+            const stream = await this.docker.getEvents({
+                filters: { type: ['container'], event: WATCHED_EVENTS }
+            });
+            this.eventStream = stream;
+            this.eventsFailing = false;
+            // Changes made while the stream was down were missed
+            this.invalidateInventory();
+
+            let buffer = '';
+            stream.on('data', (chunk) => {
+                buffer += chunk.toString();
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.filter(Boolean).forEach(line => {
+                    try {
+                        this.publishContainerEvent(JSON.parse(line));
+                    } catch (error) {
+                        console.warn('Ignoring malformed Docker event:', error.message);
+                    }
+                });
+            });
+            stream.on('error', (error) => console.error(`Docker event stream error on ${this.host.name}:`, error.message));
+            stream.on('close', reconnect);
+        } catch (error) {
+            // Log once per outage rather than on every reconnect attempt
+            if (!this.eventsFailing) {
+                console.error(`Error watching Docker events on ${this.host.name}:`, error.message);
+                this.eventsFailing = true;
+            }
+            reconnect();
+        }
+    }
+
+    // Docker reports health changes as "health_status: healthy"
+    publishContainerEvent(event) {
+        const [action, health] = (event.Action || event.status || '').split(': ');
+        const attributes = event.Actor?.Attributes || {};
+
+        this.invalidateInventory();
+
+        eventService.publish('container', {
+            host: this.host.id,
+            action,
+            health: health || null,
+            containerId: event.Actor?.ID || event.id,
+            name: attributes.name,
+            image: attributes.image,
+            exitCode: attributes.exitCode !== undefined ? parseInt(attributes.exitCode, 10) : null
+        });
     }
 
     // Test Docker daemon connectivity
     async testConnection() {
         try {
-            await docker.ping();
-            console.log('Docker daemon connection successful');
-            return { connected: true, message: 'Docker daemon is accessible' };
+            await this.docker.ping();
+            console.log(`Docker daemon connection to ${this.host.name} successful`);
+            return { host: this.host.id, name: this.host.name, connected: true, message: 'Docker daemon is accessible' };
         } catch (error) {
-            console.error('Docker daemon connection failed:', error);
-            return { connected: false, message: `Docker daemon not accessible: ${error.message}` };
+            console.error(`Docker daemon connection to ${this.host.name} failed:`, error.message);
+            return { host: this.host.id, name: this.host.name, connected: false, message: `Docker daemon not accessible: ${error.message}` };
         }
     }
 }
 
-// Create and export a single instance
+// Create and export a single instance; it serves the local host and hands out services for the others
 const dockerService = new DockerService();
 module.exports = dockerService;
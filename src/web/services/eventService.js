@@ -0,0 +1,40 @@
+const { EventEmitter } = require('events');
+
+// Fans out live events (Docker container events, check and update progress) to dashboard streams
+class EventService {
+    constructor() {
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+    }
+
+    publish(type, data) {
+        this.emitter.emit('event', { type, data: { ...data, time: new Date().toISOString() } });
+    }
+
+    // Returns a function that removes the listener again
+    subscribe(listener) {
+        this.emitter.on('event', listener);
+        return () => this.emitter.off('event', listener);
+    }
+
+    // Progress reporter for one check or update; container can be refined once its name is known
+    trackProgress(operation, container, host) {
+        const tracker = {
+            container,
+            containerId: null,
+            report: (stage, percent, message, extra = {}) => this.publish('progress', {
+                operation,
+                host,
+                container: tracker.container,
+                containerId: tracker.containerId,
+                stage,
+                percent: Math.round(percent),
+                message,
+                ...extra
+            })
+        };
+        return tracker;
+    }
+}
+
+module.exports = new EventService();
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const HISTORY_FILE = process.env.HISTORY_FILE || '/var/lib/containerpulse/history/history.jsonl';
+
+const ACTIONS = ['update-check', 'update', 'rollback', 'webhook', 'login', 'start', 'stop', 'restart', 'pause', 'unpause', 'remove', 'image-cleanup', 'restore'];
+
+class HistoryService {
+    constructor() {
+        this.historyFile = HISTORY_FILE;
+    }
+
+    // Append an entry to the history log. Recording history must never break the
+    // operation being recorded, so failures are only logged.
+    record(entry) {
+        const historyEntry = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            action: entry.action,
+            container: entry.container || null,
+            host: entry.host || null,
+            trigger: entry.trigger || 'system',
+            actor: entry.actor || null,
+            outcome: entry.outcome || 'success',
+            oldImage: entry.oldImage || null,
+            newImage: entry.newImage || null,
+            durationMs: entry.durationMs ?? null,
+            message: entry.message || null,
+            details: entry.details || null
+        };
+
+        try {
+            fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+            fs.appendFileSync(this.historyFile, JSON.stringify(historyEntry) + '\n');
+        } catch (error) {
+            console.error('Error writing history entry:', error);
+        }
+
+        return historyEntry;
+    }
+
+    // Record the result of DockerService.updateContainer, plus a rollback entry if one happened
+    recordUpdate(result, trigger, actor) {
+        if (!result) {
+            return;
+        }
+
+        const containerName = result.containerName;
+        const oldImage = { id: result.oldImageId || null, digest: result.oldDigest || null };
+        const newImage = { id: result.newImageId || null, digest: result.newDigest || null };
+
+        this.record({
+            action: 'update',
+            container: containerName,
+            host: result.host,
+            trigger,
+            actor,
+            outcome: result.success ? (result.updated ? 'success' : 'unchanged') : (result.blocked ? 'blocked' : 'failure'),
+            oldImage,
+            newImage,
+            durationMs: result.durationMs,
+            message: result.message || result.error,
+            details: { image: result.image, steps: result.steps, scan: result.scan, backup: result.backup }
+        });
+
+        if (result.rolledBack) {
+            this.record({
+                action: 'rollback',
+                container: containerName,
+                host: result.host,
+                trigger,
+                actor,
+                outcome: 'success',
+                oldImage: newImage,
+                newImage: oldImage,
+                message: result.rollbackReason
+            });
+        }
+    }
+
+    // filters.allowsContainer, when given, hides entries of other containers and entries without one
+    async query(filters = {}) {
+        try {
+            if (!fs.existsSync(this.historyFile)) {
+                return { entries: [], total: 0 };
+            }
+
+            const from = filters.from ? new Date(filters.from) : null;
+            const to = filters.to ? new Date(filters.to) : null;
+            // A plain date as the upper bound includes the whole day
+            if (to && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+                to.setUTCHours(23, 59, 59, 999);
+            }
+            const limit = Math.min(parseInt(filters.limit, 10) || 100, 1000);
+            const offset = parseInt(filters.offset, 10) || 0;
+
+            const data = await fs.promises.readFile(this.historyFile, 'utf8');
+            const entries = data.split('\n')
+                .filter(line => line.trim())
+                .map(line => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (parseError) {
+                        return null;
+                    }
+                })
+                .filter(entry => {
+                    if (!entry) return false;
+                    if (filters.container && entry.container !== filters.container) return false;
+                    if (filters.allowsContainer && !(entry.container && filters.allowsContainer(entry.container))) return false;
+                    // Entries from before multi-host support belong to the local host
+                    if (filters.host && (entry.host || 'local') !== filters.host) return false;
+                    if (filters.action && entry.action !== filters.action) return false;
+
+                    const timestamp = new Date(entry.timestamp);
+                    if (from && timestamp < from) return false;
+                    if (to && timestamp > to) return false;
+                    return true;
+                })
+                .reverse();
+
+            return {
+                entries: entries.slice(offset, offset + limit),
+                total: entries.length
+            };
+        } catch (error) {
+            console.error('Error reading history:', error);
+            throw error;
+        }
+    }
+
+    getActions() {
+        return ACTIONS;
+    }
+}
+
+module.exports = new HistoryService();
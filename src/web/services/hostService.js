@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const credentialService = require('./credentialService');
+
+const HOSTS_FILE = process.env.HOSTS_FILE || '/var/lib/containerpulse/hosts.json';
+const HOST_TIMEOUT = parseInt(process.env.DOCKER_HOST_TIMEOUT, 10) || 10000;
+const LOCAL_HOST_ID = 'local';
+const MASKED = '********';
+
+// Connection types: fields describe the host form, secrets are never returned by the API
+const HOST_TYPES = {
+    socket: {
+        label: 'Unix socket',
+        fields: [
+            { name: 'socketPath', label: 'Socket path', required: true, placeholder: '/var/run/docker.sock' }
+        ],
+        address: (config) => `unix://${config.socketPath}`,
+        connection: (config) => ({ socketPath: config.socketPath })
+    },
+    tcp: {
+        label: 'TCP',
+        fields: [
+            { name: 'host', label: 'Host', required: true, placeholder: 'docker1.example.com' },
+            { name: 'port', label: 'Port', type: 'number', placeholder: '2376' },
+            { name: 'tls', label: 'Use TLS', type: 'checkbox' },
+            { name: 'ca', label: 'CA certificate (PEM)', type: 'textarea' },
+            { name: 'cert', label: 'Client certificate (PEM)', type: 'textarea' },
+            { name: 'key', label: 'Client key (PEM)', type: 'textarea', secret: true }
+        ],
+        address: (config) => `tcp://${config.host}:${config.port || (config.tls ? 2376 : 2375)}`,
+        connection: (config) => ({
+            protocol: config.tls ? 'https' : 'http',
+            host: config.host,
+            port: parseInt(config.port, 10) || (config.tls ? 2376 : 2375),
+            ca: config.tls && config.ca ? config.ca : undefined,
+            cert: config.tls && config.cert ? config.cert : undefined,
+            key: config.tls && config.key ? config.key : undefined
+        })
+    },
+    ssh: {
+        label: 'SSH',
+        fields: [
+            { name: 'host', label: 'Host', required: true, placeholder: 'docker1.example.com' },
+            { name: 'port', label: 'Port', type: 'number', placeholder: '22' },
+            { name: 'username', label: 'Username', required: true },
+            { name: 'privateKey', label: 'Private key (PEM, empty to use the SSH agent)', type: 'textarea', secret: true },
+            { name: 'passphrase', label: 'Key passphrase', type: 'password', secret: true }
+        ],
+        address: (config) => `ssh://${config.username}@${config.host}:${config.port || 22}`,
+        // The remote user needs access to the docker CLI, which relays the API over "docker system dial-stdio"
+        connection: (config) => ({
+            protocol: 'ssh',
+            host: config.host,
+            port: parseInt(config.port, 10) || 22,
+            username: config.username,
+            sshOptions: config.privateKey
+                ? { privateKey: config.privateKey, passphrase: config.passphrase || undefined }
+                : { agent: process.env.SSH_AUTH_SOCK }
+        })
+    }
+};
+
+// Registry of Docker hosts; the local daemon is built in, remote hosts are stored encrypted
+class HostService {
+    constructor() {
+        // IDs of hosts whose decryption failure has been logged
+        this.undecryptable = new Set();
+    }
+
+    loadHosts() {
+        try {
+            if (fs.existsSync(HOSTS_FILE)) {
+                return JSON.parse(fs.readFileSync(HOSTS_FILE, 'utf8'));
+            }
+        } catch (error) {
+            console.error('Error reading Docker hosts:', error);
+        }
+        return [];
+    }
+
+    saveHosts(hosts) {
+        fs.mkdirSync(path.dirname(HOSTS_FILE), { recursive: true });
+        fs.writeFileSync(HOSTS_FILE, JSON.stringify(hosts, null, 2), { mode: 0o600 });
+    }
+
+    // The daemon ContainerPulse runs next to, through the mounted socket
+    getLocalHost() {
+        return {
+            id: LOCAL_HOST_ID,
+            name: process.env.LOCAL_HOST_NAME || 'local',
+            type: 'socket',
+            enabled: true,
+            source: 'builtin',
+            config: { socketPath: '/var/run/docker.sock' }
+        };
+    }
+
+    // All hosts with decrypted configuration, the local host first. A host whose configuration cannot
+    // be decrypted (e.g. after CREDENTIALS_SECRET changed) is returned with an empty configuration and
+    // the reason in unavailable, so the other hosts keep working.
+    getHosts() {
+        return [
+            this.getLocalHost(),
+            ...this.loadHosts().map(host => {
+                try {
+                    return { ...host, config: JSON.parse(credentialService.decrypt(host.config)) };
+                } catch (error) {
+                    if (!this.undecryptable.has(host.id)) {
+                        console.error(`Cannot decrypt the settings of Docker host ${host.name}:`, error.message);
+                        this.undecryptable.add(host.id);
+                    }
+                    return { ...host, config: {}, unavailable: 'The stored connection settings cannot be decrypted, enter them again' };
+                }
+            })
+        ];
+    }
+
+    // Routes and callers without a host refer to the local daemon
+    isLocal(id) {
+        return !id || id === LOCAL_HOST_ID;
+    }
+
+    getHost(id = LOCAL_HOST_ID) {
+        const host = this.getHosts().find(entry => entry.id === id);
+        if (!host) {
+            throw new Error(`Docker host ${id} not found`);
+        }
+        return host;
+    }
+
+    // Hosts for the API and settings page, with secrets masked
+    listHosts() {
+        return this.getHosts().map(host => ({
+            ...host,
+            address: host.unavailable ? null : HOST_TYPES[host.type].address(host.config),
+            config: Object.fromEntries(Object.entries(host.config).map(([key, value]) => [
+                key,
+                this.isSecret(host.type, key) && value ? MASKED : value
+            ]))
+        }));
+    }
+
+    isSecret(type, fieldName) {
+        return Boolean(HOST_TYPES[type]?.fields.find(field => field.name === fieldName)?.secret);
+    }
+
+    getTypes() {
+        return Object.fromEntries(Object.entries(HOST_TYPES).map(([type, { label, fields }]) => [type, { label, fields }]));
+    }
+
+    // dockerode constructor options for a host. The timeout only covers waiting for a response,
+    // so event streams and pulls can stay open as long as they need.
+    getConnectionOptions(host) {
+        return { ...HOST_TYPES[host.type].connection(host.config), connectionTimeout: HOST_TIMEOUT };
+    }
+
+    validateHost(host) {
+        if (!host.name) {
+            throw new Error('Host name is required');
+        }
+        const type = HOST_TYPES[host.type];
+        if (!type) {
+            throw new Error(`Unknown host type: ${host.type}`);
+        }
+        for (const field of type.fields) {
+            if (field.required && !host.config[field.name]) {
+                throw new Error(`${field.label} is required for ${type.label} hosts`);
+            }
+        }
+        if (this.getHosts().some(entry => entry.id !== host.id && entry.name === host.name)) {
+            throw new Error(`A Docker host named ${host.name} already exists`);
+        }
+    }
+
+    // Keep only the type's fields; booleans from checkboxes, everything else as trimmed strings
+    normalizeConfig(type, config = {}) {
+        return Object.fromEntries(HOST_TYPES[type]?.fields.map(field => [
+            field.name,
+            field.type === 'checkbox' ? Boolean(config[field.name]) : String(config[field.name] ?? '').trim()
+        ]) || []);
+    }
+
+    saveHost({ name, type, enabled = true, config }) {
+        const host = {
+            id: crypto.randomUUID(),
+            name: String(name || '').trim(),
+            type,
+            enabled: Boolean(enabled),
+            config: this.normalizeConfig(type, config),
+            createdAt: new Date().toISOString()
+        };
+        this.validateHost(host);
+
+        const hosts = this.loadHosts();
+        hosts.push({ ...host, config: credentialService.encrypt(JSON.stringify(host.config)) });
+        this.saveHosts(hosts);
+
+        return this.listHosts().find(entry => entry.id === host.id);
+    }
+
+    // Update a host; masked secrets sent back by the UI keep their stored value
+    updateHost(id, changes) {
+        if (id === LOCAL_HOST_ID) {
+            throw new Error('The local Docker host cannot be changed');
+        }
+
+        const hosts = this.loadHosts();
+        const index = hosts.findIndex(host => host.id === id);
+        if (index === -1) {
+            throw new Error(`Docker host ${id} not found`);
+        }
+
+        const stored = hosts[index];
+        // Settings that can no longer be decrypted have to be entered again
+        let storedConfig = {};
+        try {
+            storedConfig = JSON.parse(credentialService.decrypt(stored.config));
+        } catch (error) {
+            if (!changes.config) {
+                throw new Error(`The stored connection settings of Docker host ${stored.name} cannot be decrypted, enter them again`);
+            }
+        }
+        const config = changes.config
+            ? this.normalizeConfig(stored.type, changes.config)
+            : storedConfig;
+        for (const [key, value] of Object.entries(config)) {
+            if (value === MASKED) {
+                config[key] = storedConfig[key];
+            }
+        }
+
+        const host = {
+            ...stored,
+            name: changes.name === undefined ? stored.name : String(changes.name).trim(),
+            enabled: changes.enabled === undefined ? stored.enabled : Boolean(changes.enabled),
+            config
+        };
+        this.validateHost(host);
+
+        hosts[index] = { ...host, config: credentialService.encrypt(JSON.stringify(config)) };
+        this.saveHosts(hosts);
+        this.undecryptable.delete(id);
+
+        return this.listHosts().find(entry => entry.id === id);
+    }
+
+    deleteHost(id) {
+        if (id === LOCAL_HOST_ID) {
+            throw new Error('The local Docker host cannot be removed');
+        }
+
+        const hosts = this.loadHosts();
+        const remaining = hosts.filter(host => host.id !== id);
+        if (remaining.length === hosts.length) {
+            throw new Error(`Docker host ${id} not found`);
+        }
+        this.saveHosts(remaining);
+        return true;
+    }
+}
+
+module.exports = new HostService();
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const cronParser = require('cron-parser');
+const dockerService = require('./dockerService');
+const historyService = require('./historyService');
+
+const IMAGE_POLICY_FILE = process.env.IMAGE_POLICY_FILE || '/var/lib/containerpulse/image-policy.json';
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_POLICY = {
+    // Newest images kept per repository, counting the ones containers use; 0 keeps every version
+    keepVersions: process.env.IMAGE_KEEP_VERSIONS === undefined ? 3 : (parseInt(process.env.IMAGE_KEEP_VERSIONS, 10) || 0),
+    // Images younger than this are never removed; 0 turns the age rule off
+    keepDays: process.env.IMAGE_KEEP_DAYS === undefined ? 7 : (parseInt(process.env.IMAGE_KEEP_DAYS, 10) || 0),
+    // Remove untagged images that belong to no repository, such as build leftovers
+    pruneDangling: process.env.IMAGE_PRUNE_DANGLING !== 'false',
+    // Cron expression for automatic cleanups, in the update schedule's timezone; empty runs them on demand only
+    schedule: process.env.IMAGE_CLEANUP_SCHEDULE || ''
+};
+
+// Local images and the retention policy that decides which of them are removed. Images used by
+// a container, stopped or running, are always kept.
+class ImageService {
+    constructor() {
+        this.policy = this.loadPolicy();
+        this.running = false;
+        this.lastRun = null;
+        // Time up to which the cleanup schedule has been evaluated
+        this.lastDueCheck = new Date();
+    }
+
+    loadPolicy() {
+        try {
+            if (fs.existsSync(IMAGE_POLICY_FILE)) {
+                return { ...DEFAULT_POLICY, ...JSON.parse(fs.readFileSync(IMAGE_POLICY_FILE, 'utf8')) };
+            }
+        } catch (error) {
+            console.error('Error reading image retention policy:', error);
+        }
+        return { ...DEFAULT_POLICY };
+    }
+
+    savePolicy() {
+        fs.mkdirSync(path.dirname(IMAGE_POLICY_FILE), { recursive: true });
+        fs.writeFileSync(IMAGE_POLICY_FILE, JSON.stringify(this.policy, null, 2));
+    }
+
+    getPolicy(timezone) {
+        return {
+            ...this.policy,
+            nextRun: this.policy.schedule ? this.safeNextRun(this.policy.schedule, timezone) : null,
+            lastRun: this.lastRun
+        };
+    }
+
+    // Validate and apply changes from PUT /api/images/policy
+    updatePolicy(changes, timezone) {
+        const policy = { ...this.policy };
+        for (const key of ['keepVersions', 'keepDays', 'pruneDangling', 'schedule']) {
+            if (changes[key] !== undefined) {
+                policy[key] = changes[key];
+            }
+        }
+
+        for (const key of ['keepVersions', 'keepDays']) {
+            policy[key] = Number(policy[key]);
+            if (!Number.isInteger(policy[key]) || policy[key] < 0) {
+                throw new Error(`${key} must be a whole number of 0 or more`);
+            }
+        }
+        policy.pruneDangling = Boolean(policy.pruneDangling);
+        policy.schedule = String(policy.schedule || '').trim();
+        if (policy.schedule) {
+            this.getNextRun(policy.schedule, timezone);
+        }
+
+        this.policy = policy;
+        this.savePolicy();
+        return this.getPolicy(timezone);
+    }
+
+    getNextRun(expression, timezone, after = new Date()) {
+        try {
+            return cronParser.parseExpression(expression, { currentDate: after, tz: timezone }).next().toDate();
+        } catch (error) {
+            throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+        }
+    }
+
+    safeNextRun(expression, timezone) {
+        try {
+            return this.getNextRun(expression, timezone).toISOString();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Decide for each image (from DockerService.listImages) whether the policy keeps or removes it.
+    // Images are ranked by age in every repository they are tagged in; the references of an unused
+    // image older than keepDays are untagged in the repositories where it is beyond the newest
+    // keepVersions. The image is removed once that covers all its references, or when it is dangling.
+    applyPolicy(images, policy = this.policy, now = Date.now()) {
+        const byRepository = new Map();
+        for (const image of images) {
+            for (const repository of new Set(this.getReferences(image).map(reference => this.getRepository(reference)))) {
+                byRepository.set(repository, [...(byRepository.get(repository) || []), image]);
+            }
+        }
+        // "<repository> <image ID>" to the image's position in that repository, newest first
+        const ranks = new Map();
+        for (const [repository, repositoryImages] of byRepository) {
+            repositoryImages
+                .sort((a, b) => Date.parse(b.created) - Date.parse(a.created))
+                .forEach((image, index) => ranks.set(`${repository} ${image.id}`, index));
+        }
+
+        const verdict = (image) => {
+            if (image.containers.length > 0) {
+                return { remove: false, reason: 'in-use' };
+            }
+            if (policy.keepDays > 0 && now - Date.parse(image.created) < policy.keepDays * DAY) {
+                return { remove: false, reason: 'recent' };
+            }
+            const references = this.getReferences(image);
+            if (references.length === 0) {
+                return policy.pruneDangling ? { remove: true, reason: 'dangling' } : { remove: false, reason: 'dangling-kept' };
+            }
+            const untag = policy.keepVersions > 0
+                ? references.filter(reference => ranks.get(`${this.getRepository(reference)} ${image.id}`) >= policy.keepVersions)
+                : [];
+            if (untag.length === references.length) {
+                return { remove: true, reason: 'old-version', untag };
+            }
+            if (untag.length > 0) {
+                return { remove: false, reason: 'old-tags', untag };
+            }
+            return { remove: false, reason: 'retained' };
+        };
+
+        return images.map(image => ({ ...image, cleanup: verdict(image) }));
+    }
+
+    getReferences(image) {
+        return [...image.tags, ...image.digests];
+    }
+
+    // "ghcr.io/org/app" of "ghcr.io/org/app:1.2" or "ghcr.io/org/app@sha256:..."
+    getRepository(reference) {
+        return reference.replace(/@.*$/, '').replace(/:[^:/]+$/, '');
+    }
+
+    // Images of one Docker host with the policy's verdict, and the space removing them would free
+    async getImages(docker) {
+        const images = this.applyPolicy(await docker.listImages());
+        return {
+            host: docker.host.id,
+            hostName: docker.host.name,
+            images,
+            ...this.summarize(images.filter(image => image.cleanup.remove))
+        };
+    }
+
+    // Sizes include layers shared with other images, so the space actually freed can be smaller
+    summarize(removable) {
+        return {
+            removable: removable.length,
+            reclaimableBytes: removable.reduce((sum, image) => sum + image.size, 0)
+        };
+    }
+
+    // Apply the policy on the given Docker hosts (default: every enabled host). A dry run only
+    // reports what would be removed.
+    async cleanup({ hostId = null, dryRun = false, trigger = 'system', actor = null } = {}) {
+        const services = hostId ? [dockerService.forHost(hostId)] : dockerService.getHostServices();
+        const hosts = await Promise.all(services.map(async (docker) => {
+            try {
+                const { images } = await this.getImages(docker);
+                const candidates = images.filter(image => image.cleanup.remove || image.cleanup.untag);
+                const removed = [];
+                const failed = [];
+
+                if (!dryRun) {
+                    for (const image of candidates) {
+                        try {
+                            await this.removeImage(docker, image);
+                            removed.push(image);
+                        } catch (error) {
+                            failed.push({ ...image, error: error.message });
+                        }
+                    }
+                }
+
+                // Images that keep some of their references stay on the host and free no space
+                const done = dryRun ? candidates : removed;
+                const result = {
+                    host: docker.host.id,
+                    hostName: docker.host.name,
+                    images: done.filter(image => image.cleanup.remove),
+                    untagged: done.filter(image => !image.cleanup.remove),
+                    failed,
+                    ...this.summarize(done.filter(image => image.cleanup.remove))
+                };
+                if (!dryRun) {
+                    this.recordCleanup(result, trigger, actor);
+                }
+                return result;
+            } catch (error) {
+                console.error(`Image cleanup on ${docker.host.name} failed:`, error.message);
+                return { host: docker.host.id, hostName: docker.host.name, error: error.message, images: [], untagged: [], failed: [], removable: 0, reclaimableBytes: 0 };
+            }
+        }));
+
+        const result = {
+            dryRun,
+            policy: { ...this.policy },
+            hosts,
+            removable: hosts.reduce((sum, host) => sum + host.removable, 0),
+            reclaimableBytes: hosts.reduce((sum, host) => sum + host.reclaimableBytes, 0)
+        };
+        if (!dryRun) {
+            this.lastRun = { at: new Date().toISOString(), removed: result.removable, reclaimedBytes: result.reclaimableBytes };
+        }
+        return result;
+    }
+
+    // Untag the references the policy gave up; Docker deletes the image along with its last reference.
+    // Dangling images have no references and are removed by ID.
+    async removeImage(docker, image) {
+        if (!image.cleanup.untag) {
+            return docker.removeImage(image.id);
+        }
+        for (const reference of image.cleanup.untag) {
+            try {
+                await docker.removeImage(reference);
+            } catch (error) {
+                // Removing the last tag also removes the image's digest references
+                if (error.statusCode !== 404) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    recordCleanup(result, trigger, actor) {
+        if (result.images.length === 0 && result.untagged.length === 0 && result.failed.length === 0) {
+            return;
+        }
+        historyService.record({
+            action: 'image-cleanup',
+            host: result.host,
+            trigger,
+            actor,
+            outcome: result.failed.length > 0 ? 'failure' : 'success',
+            message: `Removed ${result.images.length} images (${Math.round(result.reclaimableBytes / 1024 / 1024)} MB)` +
+                (result.untagged.length > 0 ? `, untagged old versions of ${result.untagged.length} more` : '') +
+                (result.failed.length > 0 ? `, ${result.failed.length} could not be removed` : ''),
+            details: {
+                removed: result.images.map(image => ({ id: image.id, tags: image.tags, reason: image.cleanup.reason })),
+                untagged: result.untagged.map(image => ({ id: image.id, references: image.cleanup.untag })),
+                failed: result.failed.map(image => ({ id: image.id, tags: image.tags, error: image.error }))
+            }
+        });
+    }
+
+    // Called by the scheduler on every tick: run the cleanup when its schedule was due since it was last
+    // evaluated. A tick during a cleanup leaves the cursor alone, so a run due meanwhile is not lost.
+    async runIfDue(now, timezone) {
+        if (this.running) {
+            return;
+        }
+        const since = this.lastDueCheck;
+        this.lastDueCheck = now;
+        if (!this.policy.schedule) {
+            return;
+        }
+        try {
+            if (this.getNextRun(this.policy.schedule, timezone, since) > now) {
+                return;
+            }
+        } catch (error) {
+            console.warn(`Skipping image cleanup: ${error.message}`);
+            return;
+        }
+
+        this.running = true;
+        try {
+            const result = await this.cleanup({ trigger: 'scheduler' });
+            console.log(`Scheduled image cleanup removed ${result.removable} images`);
+        } catch (error) {
+            console.error('Scheduled image cleanup failed:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = new ImageService();
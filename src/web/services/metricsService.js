@@ -0,0 +1,134 @@
+const client = require('prom-client');
+
+const PREFIX = 'containerpulse_';
+
+// Prometheus metrics for GET /metrics. Counters and histograms are fed by the services as things
+// happen; container, daemon and registry gauges are set from a snapshot taken on each scrape.
+class MetricsService {
+    constructor() {
+        this.registry = new client.Registry();
+        client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+
+        // Whether the last check of each container found an update, by "host/container"
+        this.updateAvailable = new Map();
+
+        const metric = (Type, name, help, labelNames, options = {}) => new Type({
+            name: `${PREFIX}${name}`,
+            help,
+            labelNames,
+            registers: [this.registry],
+            ...options
+        });
+
+        this.containersMonitored = metric(client.Gauge, 'containers_monitored', 'Containers with an auto-update label', ['host']);
+        this.containersUpdatesAvailable = metric(client.Gauge, 'containers_updates_available', 'Monitored containers whose last check found an update', ['host']);
+        this.containerUpdateAvailable = metric(client.Gauge, 'container_update_available', 'Whether the last check of a monitored container found an update', ['host', 'container']);
+        this.dockerUp = metric(client.Gauge, 'docker_up', 'Whether the Docker daemon of a host is reachable', ['host']);
+        this.updateChecks = metric(client.Counter, 'update_checks_total', 'Update checks by result', ['host', 'result']);
+        this.updateCheckDuration = metric(client.Histogram, 'update_check_duration_seconds', 'Duration of update checks', ['host'], {
+            buckets: [0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+        });
+        this.updates = metric(client.Counter, 'updates_total', 'Container updates by result', ['host', 'result']);
+        this.updateDuration = metric(client.Histogram, 'update_duration_seconds', 'Duration of container updates', ['host'], {
+            buckets: [5, 10, 30, 60, 120, 300, 600, 1200]
+        });
+        this.rollbacks = metric(client.Counter, 'rollbacks_total', 'Rollbacks of failed updates by result', ['host', 'result']);
+        this.registryErrors = metric(client.Counter, 'registry_request_errors_total', 'Failed registry API requests', ['registry', 'reason']);
+        this.registryRateLimit = metric(client.Gauge, 'registry_rate_limit_remaining', 'Pulls left in the registry rate limit window, as last reported by the registry', ['registry']);
+        this.webhookCalls = metric(client.Counter, 'webhook_calls_total', 'Webhook calls by authentication method and outcome', ['method', 'outcome']);
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    getKey(hostName, containerName) {
+        return `${hostName}/${containerName}`;
+    }
+
+    setUpdateAvailable(hostName, containerName, available) {
+        this.updateAvailable.set(this.getKey(hostName, containerName), Boolean(available));
+    }
+
+    // result is the update check result, or null when the check failed
+    recordCheck(hostName, result, durationMs) {
+        let outcome = 'failed';
+        if (result && !result.error) {
+            outcome = result.updateAvailable ? 'update-available' : 'up-to-date';
+            this.setUpdateAvailable(hostName, result.containerName.replace(/^\//, ''), result.updateAvailable);
+        }
+        this.updateChecks.inc({ host: hostName, result: outcome });
+        this.updateCheckDuration.observe({ host: hostName }, durationMs / 1000);
+    }
+
+    // Outcome of dockerService.updateContainer from its result
+    recordUpdate(result) {
+        let outcome = 'failed';
+        if (result.blocked) {
+            outcome = 'blocked';
+        } else if (result.rolledBack) {
+            outcome = 'rolled-back';
+        } else if (result.success) {
+            outcome = result.updated ? 'updated' : 'unchanged';
+        }
+        this.updates.inc({ host: result.hostName, result: outcome });
+        if (result.durationMs !== undefined) {
+            this.updateDuration.observe({ host: result.hostName }, result.durationMs / 1000);
+        }
+
+        const rollback = result.steps.find(step => step.name === 'rollback');
+        if (rollback) {
+            this.rollbacks.inc({ host: result.hostName, result: rollback.status === 'ok' ? 'success' : 'failed' });
+        }
+        if (result.success) {
+            this.setUpdateAvailable(result.hostName, result.containerName, false);
+        }
+    }
+
+    recordRegistryError(registry, reason) {
+        this.registryErrors.inc({ registry, reason: String(reason) });
+    }
+
+    recordWebhookCall(method, outcome) {
+        this.webhookCalls.inc({ method: method || 'none', outcome });
+    }
+
+    // Gauges from the Docker hosts ([{ hostName, containers }] or [{ hostName, error }]) and the
+    // registry rate limits, replacing the previous values so removed containers disappear
+    setSnapshot(hosts, rateLimits) {
+        this.containersMonitored.reset();
+        this.containersUpdatesAvailable.reset();
+        this.containerUpdateAvailable.reset();
+        this.dockerUp.reset();
+
+        for (const { hostName, containers, error } of hosts) {
+            this.dockerUp.set({ host: hostName }, error ? 0 : 1);
+            if (error) {
+                continue;
+            }
+
+            const monitored = containers.filter(container => container.autoUpdate);
+            let available = 0;
+            for (const container of monitored) {
+                const updateAvailable = this.updateAvailable.get(this.getKey(hostName, container.name)) || false;
+                this.containerUpdateAvailable.set({ host: hostName, container: container.name }, updateAvailable ? 1 : 0);
+                available += updateAvailable ? 1 : 0;
+            }
+            this.containersMonitored.set({ host: hostName }, monitored.length);
+            this.containersUpdatesAvailable.set({ host: hostName }, available);
+        }
+
+        this.registryRateLimit.reset();
+        for (const [registry, rateLimit] of Object.entries(rateLimits)) {
+            if (Number.isFinite(rateLimit.remaining)) {
+                this.registryRateLimit.set({ registry }, rateLimit.remaining);
+            }
+        }
+    }
+
+    render() {
+        return this.registry.metrics();
+    }
+}
+
+module.exports = new MetricsService();
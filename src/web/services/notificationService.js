@@ -0,0 +1,473 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const credentialService = require('./credentialService');
+
+const NOTIFICATIONS_FILE = process.env.NOTIFICATIONS_FILE || '/var/lib/containerpulse/notifications.json';
+const NOTIFICATION_TIMEOUT = parseInt(process.env.NOTIFICATION_TIMEOUT, 10) || 10000;
+const MASKED = '********';
+
+const EVENTS = {
+    'update-available': {
+        severity: 'info',
+        title: 'Update available for {{container}}',
+        body: 'A new image is available for {{container}} ({{image}}).\nCurrent: {{currentDigest}}\nAvailable: {{latestDigest}}'
+    },
+    updated: {
+        severity: 'success',
+        title: '{{container}} updated',
+        body: '{{container}} was updated to {{image}} in {{duration}}s.\nNew image: {{newImageId}}'
+    },
+    'update-failed': {
+        severity: 'error',
+        title: 'Update of {{container}} failed',
+        body: 'Updating {{container}} ({{image}}) failed: {{error}}'
+    },
+    'rolled-back': {
+        severity: 'warning',
+        title: 'Update of {{container}} rolled back',
+        body: 'The updated container did not become healthy ({{reason}}), so the previous container has been restored.\nFailed image: {{newImageId}}'
+    },
+    'update-blocked': {
+        severity: 'warning',
+        title: 'Update of {{container}} blocked',
+        body: 'The automatic update of {{container}} to {{image}} was not applied: {{error}}'
+    },
+    'docker-unreachable': {
+        severity: 'error',
+        title: 'Docker daemon unreachable',
+        body: 'ContainerPulse on {{host}} cannot reach the Docker daemon of {{dockerHost}}: {{error}}'
+    },
+    test: {
+        severity: 'info',
+        title: 'ContainerPulse test notification',
+        body: 'This is a test notification from ContainerPulse on {{host}}.'
+    }
+};
+
+const COLORS = { info: 0x4285F4, success: 0x16A34A, warning: 0xF59E0B, error: 0xDC2626 };
+const PRIORITIES = { info: 3, success: 3, warning: 4, error: 5 };
+
+const post = (url, data, headers = {}) => axios.post(url, data, { headers, timeout: NOTIFICATION_TIMEOUT });
+const hex = (severity) => COLORS[severity].toString(16).padStart(6, '0');
+
+// Delivery providers: fields describe the channel configuration form, secrets are never returned by the API
+const PROVIDERS = {
+    smtp: {
+        label: 'Email (SMTP)',
+        fields: [
+            { name: 'host', label: 'SMTP server', required: true, placeholder: 'smtp.gmail.com' },
+            { name: 'port', label: 'Port', type: 'number', placeholder: '587' },
+            { name: 'secure', label: 'Use TLS (port 465)', type: 'checkbox' },
+            { name: 'username', label: 'Username' },
+            { name: 'password', label: 'Password', type: 'password', secret: true },
+            { name: 'from', label: 'From', placeholder: 'containerpulse@localhost' },
+            { name: 'to', label: 'To', required: true, placeholder: 'admin@example.com' }
+        ],
+        async send(config, message) {
+            const transport = nodemailer.createTransport({
+                host: config.host,
+                port: parseInt(config.port, 10) || 587,
+                secure: Boolean(config.secure),
+                auth: config.username ? { user: config.username, pass: config.password } : undefined,
+                connectionTimeout: NOTIFICATION_TIMEOUT
+            });
+            await transport.sendMail({
+                from: config.from || 'containerpulse@localhost',
+                to: config.to,
+                subject: `ContainerPulse: ${message.title}`,
+                text: `${message.body}\n\nContainerPulse on ${os.hostname()}\n${new Date().toString()}`
+            });
+        }
+    },
+    slack: {
+        label: 'Slack',
+        fields: [{ name: 'webhookUrl', label: 'Incoming webhook URL', required: true, secret: true }],
+        send: (config, message) => post(config.webhookUrl, { text: `*${message.title}*\n${message.body}` })
+    },
+    discord: {
+        label: 'Discord',
+        fields: [{ name: 'webhookUrl', label: 'Webhook URL', required: true, secret: true }],
+        send: (config, message) => post(config.webhookUrl, {
+            username: 'ContainerPulse',
+            embeds: [{ title: message.title, description: message.body, color: COLORS[message.severity] }]
+        })
+    },
+    teams: {
+        label: 'Microsoft Teams',
+        fields: [{ name: 'webhookUrl', label: 'Incoming webhook URL', required: true, secret: true }],
+        send: (config, message) => post(config.webhookUrl, {
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: message.title,
+            themeColor: hex(message.severity),
+            title: message.title,
+            text: message.body.replace(/\n/g, '<br>')
+        })
+    },
+    gotify: {
+        label: 'Gotify',
+        fields: [
+            { name: 'url', label: 'Server URL', required: true, placeholder: 'https://gotify.example.com' },
+            { name: 'token', label: 'Application token', required: true, secret: true }
+        ],
+        send: (config, message) => post(`${config.url.replace(/\/$/, '')}/message`, {
+            title: message.title,
+            message: message.body,
+            priority: PRIORITIES[message.severity] * 2 - 2
+        }, { 'X-Gotify-Key': config.token })
+    },
+    ntfy: {
+        label: 'ntfy',
+        fields: [
+            { name: 'url', label: 'Server URL', required: true, placeholder: 'https://ntfy.sh' },
+            { name: 'topic', label: 'Topic', required: true },
+            { name: 'token', label: 'Access token', secret: true },
+            { name: 'username', label: 'Username' },
+            { name: 'password', label: 'Password', type: 'password', secret: true }
+        ],
+        send(config, message) {
+            const headers = {
+                'Content-Type': 'text/plain; charset=utf-8',
+                Title: message.title,
+                Priority: String(PRIORITIES[message.severity]),
+                Tags: message.severity === 'success' ? 'white_check_mark' : message.severity
+            };
+            if (config.token) {
+                headers.Authorization = `Bearer ${config.token}`;
+            } else if (config.username) {
+                headers.Authorization = `Basic ${Buffer.from(`${config.username}:${config.password}`).toString('base64')}`;
+            }
+            return post(`${config.url.replace(/\/$/, '')}/${encodeURIComponent(config.topic)}`, message.body, headers);
+        }
+    },
+    webhook: {
+        label: 'Generic webhook (JSON)',
+        fields: [
+            { name: 'url', label: 'URL', required: true },
+            { name: 'headers', label: 'Headers (JSON object)', secret: true, placeholder: '{"Authorization": "Bearer ..."}' }
+        ],
+        send: (config, message) => post(config.url, {
+            event: message.event,
+            severity: message.severity,
+            title: message.title,
+            message: message.body,
+            data: message.data,
+            host: os.hostname(),
+            timestamp: new Date().toISOString()
+        }, config.headers ? JSON.parse(config.headers) : {})
+    }
+};
+
+// Notification channels, per-event routing and message templates
+class NotificationService {
+    loadSettings() {
+        try {
+            if (fs.existsSync(NOTIFICATIONS_FILE)) {
+                const settings = JSON.parse(fs.readFileSync(NOTIFICATIONS_FILE, 'utf8'));
+                return { channels: settings.channels || [], templates: settings.templates || {} };
+            }
+        } catch (error) {
+            console.error('Error reading notification settings:', error);
+        }
+        return { channels: [], templates: {} };
+    }
+
+    saveSettings(settings) {
+        fs.mkdirSync(path.dirname(NOTIFICATIONS_FILE), { recursive: true });
+        fs.writeFileSync(NOTIFICATIONS_FILE, JSON.stringify(settings, null, 2), { mode: 0o600 });
+    }
+
+    // Email configured through the legacy EMAIL_* / SMTP_* environment variables
+    getEnvironmentChannel() {
+        if (process.env.EMAIL_ENABLED !== 'true' || !process.env.EMAIL_TO) {
+            return null;
+        }
+
+        return {
+            id: 'env-email',
+            name: 'Email (environment)',
+            type: 'smtp',
+            enabled: true,
+            events: [],
+            source: 'env',
+            config: {
+                host: process.env.SMTP_SERVER || 'localhost',
+                port: process.env.SMTP_PORT || '587',
+                secure: process.env.SMTP_PORT === '465',
+                username: process.env.SMTP_USER || '',
+                password: process.env.SMTP_PASSWORD || '',
+                from: process.env.EMAIL_FROM || 'containerpulse@localhost',
+                to: process.env.EMAIL_TO
+            }
+        };
+    }
+
+    // All channels with decrypted configuration
+    getChannels() {
+        const channels = this.loadSettings().channels.map(channel => ({
+            ...channel,
+            source: 'containerpulse',
+            config: JSON.parse(credentialService.decrypt(channel.config))
+        }));
+
+        const environmentChannel = this.getEnvironmentChannel();
+        return environmentChannel ? [environmentChannel, ...channels] : channels;
+    }
+
+    // Channels for the API, with secrets masked
+    listChannels() {
+        return this.getChannels().map(channel => ({
+            ...channel,
+            config: Object.fromEntries(Object.entries(channel.config).map(([key, value]) => [
+                key,
+                value && this.isSecret(channel.type, key) ? MASKED : value
+            ]))
+        }));
+    }
+
+    isSecret(type, field) {
+        return PROVIDERS[type].fields.some(entry => entry.name === field && entry.secret);
+    }
+
+    getProviders() {
+        return Object.fromEntries(Object.entries(PROVIDERS).map(([type, provider]) => [
+            type,
+            { label: provider.label, fields: provider.fields }
+        ]));
+    }
+
+    getEvents() {
+        return Object.keys(EVENTS).filter(event => event !== 'test');
+    }
+
+    validateChannel(channel) {
+        const provider = PROVIDERS[channel.type];
+        if (!provider) {
+            throw new Error(`Unknown notification type "${channel.type}"`);
+        }
+        if (!channel.name) {
+            throw new Error('Channel name is required');
+        }
+
+        const missing = provider.fields.filter(field => field.required && !channel.config[field.name]);
+        if (missing.length > 0) {
+            throw new Error(`Missing ${missing.map(field => field.label).join(', ')}`);
+        }
+
+        if (!Array.isArray(channel.events)) {
+            throw new Error('Events must be an array');
+        }
+        const unknownEvents = channel.events.filter(event => !this.getEvents().includes(event));
+        if (unknownEvents.length > 0) {
+            throw new Error(`Unknown events: ${unknownEvents.join(', ')}`);
+        }
+
+        if (channel.type === 'webhook' && channel.config.headers) {
+            try {
+                JSON.parse(channel.config.headers);
+            } catch (error) {
+                throw new Error('Headers must be a JSON object');
+            }
+        }
+    }
+
+    // Keep only the provider's fields; booleans from checkboxes, everything else as trimmed strings
+    normalizeConfig(type, config = {}) {
+        return Object.fromEntries(PROVIDERS[type]?.fields.map(field => [
+            field.name,
+            field.type === 'checkbox' ? Boolean(config[field.name]) : String(config[field.name] ?? '').trim()
+        ]) || []);
+    }
+
+    saveChannel({ name, type, enabled = true, events = [], config }) {
+        const channel = {
+            id: crypto.randomUUID(),
+            name,
+            type,
+            enabled: Boolean(enabled),
+            events,
+            config: this.normalizeConfig(type, config),
+            createdAt: new Date().toISOString()
+        };
+        this.validateChannel(channel);
+
+        const settings = this.loadSettings();
+        settings.channels.push({ ...channel, config: credentialService.encrypt(JSON.stringify(channel.config)) });
+        this.saveSettings(settings);
+
+        return this.listChannels().find(entry => entry.id === channel.id);
+    }
+
+    // Update a channel; masked secrets sent back by the UI keep their stored value
+    updateChannel(id, changes) {
+        const settings = this.loadSettings();
+        const index = settings.channels.findIndex(channel => channel.id === id);
+        if (index === -1) {
+            throw new Error('Notification channel not found');
+        }
+
+        const stored = settings.channels[index];
+        const storedConfig = JSON.parse(credentialService.decrypt(stored.config));
+        const config = changes.config
+            ? this.normalizeConfig(stored.type, changes.config)
+            : storedConfig;
+        for (const [key, value] of Object.entries(config)) {
+            if (value === MASKED) {
+                config[key] = storedConfig[key];
+            }
+        }
+
+        const channel = {
+            ...stored,
+            name: changes.name ?? stored.name,
+            enabled: changes.enabled === undefined ? stored.enabled : Boolean(changes.enabled),
+            events: changes.events ?? stored.events,
+            config
+        };
+        this.validateChannel(channel);
+
+        settings.channels[index] = { ...channel, config: credentialService.encrypt(JSON.stringify(config)) };
+        this.saveSettings(settings);
+
+        return this.listChannels().find(entry => entry.id === id);
+    }
+
+    deleteChannel(id) {
+        const settings = this.loadSettings();
+        const remaining = settings.channels.filter(channel => channel.id !== id);
+        if (remaining.length === settings.channels.length) {
+            throw new Error('Notification channel not found');
+        }
+        this.saveSettings({ ...settings, channels: remaining });
+        return true;
+    }
+
+    // Effective templates: stored overrides on top of the defaults
+    getTemplates() {
+        const overrides = this.loadSettings().templates;
+        return Object.fromEntries(Object.entries(EVENTS).map(([event, defaults]) => [
+            event,
+            {
+                title: overrides[event]?.title || defaults.title,
+                body: overrides[event]?.body || defaults.body,
+                custom: Boolean(overrides[event])
+            }
+        ]));
+    }
+
+    // Override an event's template; an empty title and body restore the default
+    saveTemplate(event, title, body) {
+        if (!EVENTS[event]) {
+            throw new Error(`Unknown event "${event}"`);
+        }
+
+        const settings = this.loadSettings();
+        if (title || body) {
+            settings.templates[event] = { title: title || '', body: body || '' };
+        } else {
+            delete settings.templates[event];
+        }
+        this.saveSettings(settings);
+
+        return this.getTemplates()[event];
+    }
+
+    // Replace {{placeholders}} with values from data; unknown placeholders render empty
+    render(template, data) {
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => data[key] ?? '');
+    }
+
+    buildMessage(event, data) {
+        const template = this.getTemplates()[event];
+        const values = { host: os.hostname(), time: new Date().toISOString(), event, ...data };
+        return {
+            event,
+            severity: EVENTS[event].severity,
+            title: this.render(template.title, values),
+            body: this.render(template.body, values),
+            data
+        };
+    }
+
+    async sendToChannel(channel, message) {
+        await PROVIDERS[channel.type].send(channel.config, message);
+        return { channel: channel.name, type: channel.type, success: true };
+    }
+
+    // Send an event to every enabled channel routed to it. Delivery errors are logged, never thrown.
+    async notify(event, data = {}) {
+        let channels;
+        try {
+            channels = this.getChannels().filter(channel =>
+                channel.enabled && (channel.events.length === 0 || channel.events.includes(event))
+            );
+        } catch (error) {
+            console.error('Error loading notification channels:', error);
+            return [];
+        }
+
+        const message = this.buildMessage(event, data);
+        const results = await Promise.all(channels.map(channel =>
+            this.sendToChannel(channel, message).catch(error => {
+                console.error(`Failed to send ${event} notification via ${channel.name}:`, error.message);
+                return { channel: channel.name, type: channel.type, success: false, error: error.message };
+            })
+        ));
+
+        if (results.length > 0) {
+            console.log(`Sent ${event} notification to ${results.filter(result => result.success).length}/${results.length} channels`);
+        }
+        return results;
+    }
+
+    // Notify the outcome of an update from its result (or the error it failed with)
+    notifyUpdate(containerName, result, error) {
+        const data = {
+            container: containerName,
+            dockerHost: result?.hostName,
+            image: result?.targetImage || result?.image,
+            newImageId: result?.newImageId,
+            duration: result?.durationMs ? Math.round(result.durationMs / 1000) : undefined,
+            reason: result?.rollbackReason,
+            error: result?.error || error?.message
+        };
+
+        if (result?.rolledBack) {
+            return this.notify('rolled-back', data);
+        }
+        if (result?.blocked) {
+            return this.notify('update-blocked', data);
+        }
+        if (error || result?.success === false) {
+            return this.notify('update-failed', data);
+        }
+        if (result?.updated) {
+            return this.notify('updated', data);
+        }
+        return Promise.resolve([]);
+    }
+
+    // Send a test message to one channel or to all enabled channels,
+    // regardless of event routing; delivery errors are part of the results
+    async sendTest(channelId) {
+        const channels = channelId
+            ? this.getChannels().filter(entry => entry.id === channelId)
+            : this.getChannels().filter(entry => entry.enabled);
+        if (channelId && channels.length === 0) {
+            throw new Error('Notification channel not found');
+        }
+
+        const message = this.buildMessage('test', {});
+        return Promise.all(channels.map(channel =>
+            this.sendToChannel(channel, message).catch(error => (
+                { channel: channel.name, type: channel.type, success: false, error: error.message }
+            ))
+        ));
+    }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const authService = require('./authService');
+
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || '';
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid profile email';
+const OIDC_USERNAME_CLAIM = process.env.OIDC_USERNAME_CLAIM || 'preferred_username';
+const OIDC_ROLE_CLAIM = process.env.OIDC_ROLE_CLAIM || 'groups';
+const OIDC_DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || '';
+const OIDC_AUTO_PROVISION = process.env.OIDC_AUTO_PROVISION === 'true';
+const OIDC_TIMEOUT = parseInt(process.env.OIDC_TIMEOUT, 10) || 10000;
+const DISCOVERY_TTL = 60 * 60 * 1000;
+
+// "group=role" pairs, e.g. "containerpulse-admins=admin,containerpulse-ops=operator"
+const OIDC_ROLE_MAPPING = (process.env.OIDC_ROLE_MAPPING || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([value, role]) => value && role);
+
+const base64url = (buffer) => buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+// OpenID Connect login: authorization code flow with PKCE against the provider's discovery document
+class OidcService {
+    constructor() {
+        this.discovery = null;
+        this.discoveredAt = 0;
+        this.jwks = null;
+    }
+
+    isEnabled() {
+        return Boolean(OIDC_ISSUER && OIDC_CLIENT_ID);
+    }
+
+    getProviderName() {
+        return process.env.OIDC_PROVIDER_NAME || 'Single sign-on';
+    }
+
+    async getDiscovery() {
+        if (this.discovery && Date.now() - this.discoveredAt < DISCOVERY_TTL) {
+            return this.discovery;
+        }
+        try {
+            const response = await axios.get(`${OIDC_ISSUER}/.well-known/openid-configuration`, { timeout: OIDC_TIMEOUT });
+            const discovery = response.data;
+            if ((discovery.issuer || '').replace(/\/+$/, '') !== OIDC_ISSUER) {
+                throw new Error(`Discovery document is for issuer ${discovery.issuer}, expected ${OIDC_ISSUER}`);
+            }
+            this.discovery = discovery;
+            this.discoveredAt = Date.now();
+            this.jwks = null;
+            return discovery;
+        } catch (error) {
+            console.error('Error loading OIDC discovery document:', error.message);
+            throw error;
+        }
+    }
+
+    // Public key for an ID token; the key set is fetched again once when the kid is unknown (key rotation)
+    async getSigningKey(kid) {
+        const discovery = await this.getDiscovery();
+        for (const refresh of [false, true]) {
+            if (!this.jwks || refresh) {
+                const response = await axios.get(discovery.jwks_uri, { timeout: OIDC_TIMEOUT });
+                this.jwks = response.data.keys || [];
+            }
+            const jwk = this.jwks.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+            if (jwk) {
+                return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+            }
+        }
+        throw new Error(`No signing key ${kid} in the provider's key set`);
+    }
+
+    // Authorization URL plus the state to keep in the session until the callback
+    async createAuthorizationRequest(redirectUri) {
+        const discovery = await this.getDiscovery();
+        const pending = {
+            state: base64url(crypto.randomBytes(16)),
+            nonce: base64url(crypto.randomBytes(16)),
+            codeVerifier: base64url(crypto.randomBytes(32)),
+            redirectUri
+        };
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: OIDC_CLIENT_ID,
+            redirect_uri: redirectUri,
+            scope: OIDC_SCOPES,
+            state: pending.state,
+            nonce: pending.nonce,
+            code_challenge: base64url(crypto.createHash('sha256').update(pending.codeVerifier).digest()),
+            code_challenge_method: 'S256'
+        });
+        const separator = discovery.authorization_endpoint.includes('?') ? '&' : '?';
+        return { url: `${discovery.authorization_endpoint}${separator}${params}`, pending };
+    }
+
+    async exchangeCode(code, pending) {
+        const discovery = await this.getDiscovery();
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: pending.redirectUri,
+            client_id: OIDC_CLIENT_ID,
+            code_verifier: pending.codeVerifier
+        });
+        // Confidential clients authenticate with client_secret_basic, the OIDC default
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+        if (OIDC_CLIENT_SECRET) {
+            const credentials = `${encodeURIComponent(OIDC_CLIENT_ID)}:${encodeURIComponent(OIDC_CLIENT_SECRET)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        }
+        try {
+            const response = await axios.post(discovery.token_endpoint, body.toString(), { headers, timeout: OIDC_TIMEOUT });
+            return response.data;
+        } catch (error) {
+            const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+            throw new Error(`Token request failed: ${reason}`);
+        }
+    }
+
+    async verifyIdToken(idToken, nonce) {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw new Error('The provider returned no valid ID token');
+        }
+        const hmac = decoded.header.alg.startsWith('HS');
+        if (hmac && !OIDC_CLIENT_SECRET) {
+            throw new Error('HMAC-signed ID tokens need OIDC_CLIENT_SECRET');
+        }
+        const key = hmac ? OIDC_CLIENT_SECRET : await this.getSigningKey(decoded.header.kid);
+        const claims = jwt.verify(idToken, key, {
+            algorithms: hmac
+                ? ['HS256', 'HS384', 'HS512']
+                : ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'],
+            issuer: [OIDC_ISSUER, `${OIDC_ISSUER}/`],
+            audience: OIDC_CLIENT_ID,
+            clockTolerance: 60
+        });
+        if (claims.nonce !== nonce) {
+            throw new Error('ID token nonce does not match the login request');
+        }
+        return claims;
+    }
+
+    // Claims from the userinfo endpoint, where many providers put groups; the ID token wins on conflicts
+    async getUserInfo(accessToken) {
+        const discovery = await this.getDiscovery();
+        if (!discovery.userinfo_endpoint || !accessToken) {
+            return {};
+        }
+        try {
+            const response = await axios.get(discovery.userinfo_endpoint, {
+                headers: { Authorization: `Bearer ${accessToken}` },
+                timeout: OIDC_TIMEOUT
+            });
+            return typeof response.data === 'object' ? response.data : {};
+        } catch (error) {
+            console.error('Error fetching OIDC userinfo:', error.message);
+            return {};
+        }
+    }
+
+    // Claim by dotted path, e.g. "realm_access.roles" for Keycloak realm roles
+    getClaim(claims, claimPath) {
+        return claimPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+    }
+
+    // Highest role mapped from the role claim, else OIDC_DEFAULT_ROLE
+    getRole(claims) {
+        const value = this.getClaim(claims, OIDC_ROLE_CLAIM);
+        const values = (Array.isArray(value) ? value : String(value ?? '').split(/[\s,]+/)).map(String);
+        const roles = authService.getRoles();
+        const mapped = OIDC_ROLE_MAPPING
+            .filter(([claimValue]) => values.includes(claimValue))
+            .map(([, role]) => role)
+            .filter(role => roles.includes(role))
+            .sort((a, b) => roles.indexOf(b) - roles.indexOf(a));
+        return mapped[0] || (roles.includes(OIDC_DEFAULT_ROLE) ? OIDC_DEFAULT_ROLE : null);
+    }
+
+    // Handle the provider's redirect back to /auth/oidc/callback and return the signed-in user
+    async login(query, pending) {
+        if (query.error) {
+            throw new Error(`The identity provider returned ${query.error}${query.error_description ? `: ${query.error_description}` : ''}`);
+        }
+        if (!pending || !query.state || query.state !== pending.state) {
+            throw new Error('The single sign-on request expired, please try again');
+        }
+        if (!query.code) {
+            throw new Error('The identity provider returned no authorization code');
+        }
+
+        const tokens = await this.exchangeCode(query.code, pending);
+        const idTokenClaims = await this.verifyIdToken(tokens.id_token, pending.nonce);
+        const claims = { ...(await this.getUserInfo(tokens.access_token)), ...idTokenClaims };
+        const username = String(this.getClaim(claims, OIDC_USERNAME_CLAIM) || claims.email || claims.sub);
+
+        return authService.loginOidcUser({
+            issuer: OIDC_ISSUER,
+            subject: idTokenClaims.sub,
+            username,
+            role: this.getRole(claims)
+        }, OIDC_AUTO_PROVISION);
+    }
+}
+
+module.exports = new OidcService();
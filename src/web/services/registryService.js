@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const credentialService = require('./credentialService');
+const metricsService = require('./metricsService');
+
+const DOCKER_HUB_REGISTRY = 'registry-1.docker.io';
+const REGISTRY_TIMEOUT = parseInt(process.env.REGISTRY_TIMEOUT, 10) || 15000;
+
+// Registries reached over plain HTTP; localhost registries (e.g. a local registry:2) always are
+const INSECURE_REGISTRIES = (process.env.INSECURE_REGISTRIES || '')
+    .split(',')
+    .map(registry => registry.trim())
+    .filter(Boolean);
+
+const MEDIA_TYPES = {
+    ociIndex: 'application/vnd.oci.image.index.v1+json',
+    dockerManifestList: 'application/vnd.docker.distribution.manifest.list.v2+json',
+    ociManifest: 'application/vnd.oci.image.manifest.v1+json',
+    dockerManifest: 'application/vnd.docker.distribution.manifest.v2+json'
+};
+
+const MANIFEST_ACCEPT = Object.values(MEDIA_TYPES).join(', ');
+
+// Client for the OCI Distribution API, used to look up image digests without pulling
+class RegistryService {
+    constructor() {
+        this.tokens = new Map();
+        this.rateLimits = new Map();
+    }
+
+    // Split an image reference such as "nginx", "ghcr.io/org/app:1.2" or "localhost:5000/app@sha256:..."
+    parseImageReference(image) {
+        if (!image || typeof image !== 'string') {
+            throw new Error('Invalid image reference');
+        }
+
+        let remainder = image;
+        let digest = null;
+        const digestIndex = remainder.indexOf('@');
+        if (digestIndex !== -1) {
+            digest = remainder.substring(digestIndex + 1);
+            remainder = remainder.substring(0, digestIndex);
+        }
+
+        let tag = null;
+        const lastSlash = remainder.lastIndexOf('/');
+        const tagIndex = remainder.lastIndexOf(':');
+        if (tagIndex > lastSlash) {
+            tag = remainder.substring(tagIndex + 1);
+            remainder = remainder.substring(0, tagIndex);
+        }
+
+        let registry = DOCKER_HUB_REGISTRY;
+        let repository = remainder;
+        const firstSlash = remainder.indexOf('/');
+        if (firstSlash !== -1) {
+            const firstPart = remainder.substring(0, firstSlash);
+            if (firstPart.includes('.') || firstPart.includes(':') || firstPart === 'localhost') {
+                registry = firstPart === 'docker.io' ? DOCKER_HUB_REGISTRY : firstPart;
+                repository = remainder.substring(firstSlash + 1);
+            }
+        }
+
+        if (registry === DOCKER_HUB_REGISTRY && !repository.includes('/')) {
+            repository = `library/${repository}`;
+        }
+
+        return {
+            registry,
+            repository,
+            tag: tag || (digest ? null : 'latest'),
+            digest
+        };
+    }
+
+    getRegistryUrl(registry) {
+        const host = registry.split(':')[0];
+        const insecure = host === 'localhost' || host === '127.0.0.1' || INSECURE_REGISTRIES.includes(registry);
+        return `${insecure ? 'http' : 'https'}://${registry}`;
+    }
+
+    // Perform a registry request, answering a Bearer token challenge once if the registry asks for one
+    async request(ref, method, path, options = {}) {
+        const url = `${this.getRegistryUrl(ref.registry)}${path}`;
+        const scope = `repository:${ref.repository}:pull`;
+        const tokenKey = `${ref.registry}|${scope}`;
+
+        const send = (token) => axios({
+            method,
+            url,
+            headers: {
+                ...options.headers,
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            responseType: options.responseType || 'json',
+            timeout: REGISTRY_TIMEOUT,
+            validateStatus: () => true
+        }).catch((error) => {
+            // Timeouts, refused connections and the like, counted by their error code
+            metricsService.recordRegistryError(ref.registry, error.code || 'network');
+            throw error;
+        });
+
+        const cached = this.tokens.get(tokenKey);
+        let response = await send(cached && cached.expiresAt > Date.now() ? cached.token : null);
+
+        if (response.status === 401) {
+            const challenge = this.parseChallenge(response.headers['www-authenticate']);
+            if (challenge && challenge.scheme === 'bearer') {
+                const token = await this.getToken(ref, challenge, scope);
+                response = await send(token);
+            } else if (challenge && challenge.scheme === 'basic') {
+                const credentials = await credentialService.getCredentials(ref.registry);
+                if (credentials && credentials.username) {
+                    options.headers = { ...options.headers, Authorization: this.basicAuth(credentials) };
+                    response = await send(null);
+                }
+            }
+        }
+
+        this.recordRateLimit(ref.registry, response.headers);
+
+        if (response.status >= 400) {
+            metricsService.recordRegistryError(ref.registry, response.status);
+            const error = new Error(`Registry ${ref.registry} returned ${response.status} for ${ref.repository}`);
+            error.statusCode = response.status;
+            throw error;
+        }
+
+        return response;
+    }
+
+    // Parse a WWW-Authenticate header: Bearer realm="...",service="...",scope="..."
+    parseChallenge(header) {
+        if (!header) {
+            return null;
+        }
+
+        const spaceIndex = header.indexOf(' ');
+        const scheme = (spaceIndex === -1 ? header : header.substring(0, spaceIndex)).toLowerCase();
+        const params = {};
+        const paramPattern = /(\w+)="([^"]*)"/g;
+        let match;
+        while ((match = paramPattern.exec(header)) !== null) {
+            params[match[1]] = match[2];
+        }
+
+        return { scheme, ...params };
+    }
+
+    async getToken(ref, challenge, scope) {
+        if (!challenge.realm) {
+            throw new Error(`Registry ${ref.registry} sent a token challenge without a realm`);
+        }
+
+        const credentials = await credentialService.getCredentials(ref.registry);
+        const headers = credentials && credentials.username ? { Authorization: this.basicAuth(credentials) } : {};
+
+        const response = await axios.get(challenge.realm, {
+            params: {
+                service: challenge.service,
+                scope: challenge.scope || scope
+            },
+            headers,
+            timeout: REGISTRY_TIMEOUT,
+            validateStatus: () => true
+        });
+
+        if (response.status >= 400) {
+            metricsService.recordRegistryError(ref.registry, `token-${response.status}`);
+            const error = new Error(`Token request to ${challenge.realm} failed with ${response.status}`);
+            error.statusCode = response.status;
+            throw error;
+        }
+
+        const token = response.data.token || response.data.access_token;
+        const expiresIn = response.data.expires_in || 60;
+        this.tokens.set(`${ref.registry}|${scope}`, {
+            token,
+            // Refresh a little early so a token never expires mid-request
+            expiresAt: Date.now() + Math.max(expiresIn - 10, 1) * 1000
+        });
+
+        return token;
+    }
+
+    basicAuth(credentials) {
+        return `Basic ${Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64')}`;
+    }
+
+    // Forget cached tokens, e.g. after registry credentials have changed
+    clearTokens() {
+        this.tokens.clear();
+    }
+
+    // Docker Hub reports its pull quota in ratelimit-* headers, e.g. "100;w=21600"
+    recordRateLimit(registry, headers = {}) {
+        const remaining = headers['ratelimit-remaining'];
+        if (remaining === undefined) {
+            return;
+        }
+
+        this.rateLimits.set(registry, {
+            remaining: parseInt(remaining, 10),
+            limit: parseInt(headers['ratelimit-limit'], 10) || null,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    getRateLimits() {
+        return Object.fromEntries(this.rateLimits);
+    }
+
+    // Resolve the digest a tag currently points to with a HEAD request
+    async getManifestDigest(ref) {
+        const reference = ref.digest || ref.tag;
+        const response = await this.request(ref, 'head', `/v2/${ref.repository}/manifests/${reference}`, {
+            headers: { Accept: MANIFEST_ACCEPT }
+        });
+
+        const digest = response.headers['docker-content-digest'];
+        const mediaType = (response.headers['content-type'] || '').split(';')[0];
+
+        // Some registries omit the digest header on HEAD; fall back to hashing the manifest
+        if (!digest) {
+            const manifest = await this.getManifest(ref, reference);
+            return { digest: manifest.digest, mediaType: manifest.mediaType };
+        }
+
+        return { digest, mediaType };
+    }
+
+    async getManifest(ref, reference) {
+        const response = await this.request(ref, 'get', `/v2/${ref.repository}/manifests/${reference}`, {
+            headers: { Accept: MANIFEST_ACCEPT },
+            responseType: 'arraybuffer'
+        });
+
+        const body = Buffer.from(response.data);
+        const digest = response.headers['docker-content-digest']
+            || `sha256:${crypto.createHash('sha256').update(body).digest('hex')}`;
+        const manifest = JSON.parse(body.toString('utf8'));
+
+        return {
+            digest,
+            mediaType: manifest.mediaType || (response.headers['content-type'] || '').split(';')[0],
+            manifest
+        };
+    }
+
+    // List all tags of a repository, following the Link header for paginated responses
+    async listTags(image) {
+        const ref = this.parseImageReference(image);
+        const tags = [];
+        let path = `/v2/${ref.repository}/tags/list?n=1000`;
+
+        while (path) {
+            const response = await this.request(ref, 'get', path);
+            tags.push(...(response.data.tags || []));
+
+            const link = response.headers.link;
+            const next = link && link.match(/<([^>]+)>;\s*rel="next"/);
+            path = next ? next[1].replace(/^https?:\/\/[^/]+/, '') : null;
+        }
+
+        return tags;
+    }
+
+    isManifestList(mediaType) {
+        return mediaType === MEDIA_TYPES.ociIndex || mediaType === MEDIA_TYPES.dockerManifestList;
+    }
+
+    // Pick the manifest for the given platform ({ os, architecture, variant }) from a manifest list
+    selectPlatformManifest(manifestList, platform) {
+        const candidates = (manifestList.manifests || []).filter(entry =>
+            entry.platform &&
+            entry.platform.os === platform.os &&
+            entry.platform.architecture === platform.architecture
+        );
+
+        if (platform.variant) {
+            const exact = candidates.find(entry => entry.platform.variant === platform.variant);
+            if (exact) {
+                return exact;
+            }
+        }
+
+        return candidates[0] || null;
+    }
+
+    // Compare the remote digest of an image tag with a locally inspected image.
+    // localImage is the output of docker.getImage().inspect(); platform is the daemon's platform.
+    async checkImage(image, localImage, platform) {
+        const ref = this.parseImageReference(image);
+        const localDigests = (localImage.RepoDigests || []).map(repoDigest => repoDigest.split('@')[1]);
+
+        const remote = await this.getManifestDigest(ref);
+        const result = {
+            registry: ref.registry,
+            repository: ref.repository,
+            tag: ref.tag,
+            remoteDigest: remote.digest,
+            platformDigest: null,
+            updateAvailable: !localDigests.includes(remote.digest)
+        };
+
+        // A manifest list digest changes whenever any platform is rebuilt, so look at our platform's
+        // manifest before reporting an update
+        if (result.updateAvailable && platform) {
+            const platformManifest = await this.resolvePlatformManifest(ref, remote, platform);
+            if (platformManifest) {
+                result.platformDigest = platformManifest.digest;
+                result.updateAvailable = !localDigests.includes(platformManifest.digest)
+                    && platformManifest.configDigest !== localImage.Id;
+            }
+        }
+
+        return result;
+    }
+
+    async resolvePlatformManifest(ref, remote, platform) {
+        let manifestDigest = remote.digest;
+
+        if (this.isManifestList(remote.mediaType)) {
+            const list = await this.getManifest(ref, remote.digest);
+            const entry = this.selectPlatformManifest(list.manifest, platform);
+            if (!entry) {
+                return null;
+            }
+            manifestDigest = entry.digest;
+        }
+
+        const { manifest } = await this.getManifest(ref, manifestDigest);
+        return {
+            digest: manifestDigest,
+            configDigest: manifest.config?.digest || null,
+            manifest
+        };
+    }
+
+    // The image a tag points to for the daemon's platform, read from the registry without pulling:
+    // its ID (the config digest), image config and compressed layer sizes
+    async inspectRemoteImage(image, platform) {
+        const ref = this.parseImageReference(image);
+        const remote = await this.getManifestDigest(ref);
+        const platformManifest = await this.resolvePlatformManifest(ref, remote, platform);
+        if (!platformManifest || !platformManifest.configDigest) {
+            throw new Error(`No ${platform.os}/${platform.architecture} image for ${image}`);
+        }
+
+        const response = await this.request(ref, 'get', `/v2/${ref.repository}/blobs/${platformManifest.configDigest}`, {
+            responseType: 'arraybuffer'
+        });
+        const imageConfig = JSON.parse(Buffer.from(response.data).toString('utf8'));
+
+        return {
+            id: platformManifest.configDigest,
+            digest: remote.digest,
+            platformDigest: platformManifest.digest,
+            config: imageConfig.config || {},
+            diffIds: imageConfig.rootfs?.diff_ids || [],
+            layers: (platformManifest.manifest.layers || []).map(layer => ({ digest: layer.digest, size: layer.size || 0 }))
+        };
+    }
+}
+
+module.exports = new RegistryService();
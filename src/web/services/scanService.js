@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const hostService = require('./hostService');
+
+const SCANNER = (process.env.SCANNER || '').toLowerCase();
+const SCANNER_PATH = process.env.SCANNER_PATH || SCANNER;
+const SCAN_TIMEOUT = (parseInt(process.env.SCAN_TIMEOUT, 10) || 300) * 1000;
+// Scan against the vulnerability database already on disk instead of downloading it
+const SCAN_OFFLINE = process.env.SCAN_OFFLINE !== 'false';
+const SCAN_CACHE_DIR = process.env.SCAN_CACHE_DIR || '';
+const SCAN_POLICY = process.env.SCAN_POLICY || 'block';
+const SCAN_SEVERITY = (process.env.SCAN_SEVERITY || 'CRITICAL').toUpperCase();
+const SCANS_FILE = process.env.SCANS_FILE || '/var/lib/containerpulse/scans.json';
+const SCAN_POLICY_LABEL = 'containerpulse.scan';
+// Scan results kept, by image
+const MAX_RESULTS = 500;
+
+// From least to most severe
+const SEVERITIES = ['UNKNOWN', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+// off: no scans during updates; warn: scan and report; block: automatic updates that add findings
+// at or above SCAN_SEVERITY fail before the container is touched
+const POLICIES = ['off', 'warn', 'block'];
+
+// Vulnerability scans of local images with Trivy or Grype, and the comparison of the image a
+// container runs with the image an update would bring
+class ScanService {
+    constructor() {
+        this.results = this.loadResults();
+        // Scans in progress by image, so concurrent requests share one scanner run
+        this.running = new Map();
+    }
+
+    loadResults() {
+        try {
+            if (fs.existsSync(SCANS_FILE)) {
+                return JSON.parse(fs.readFileSync(SCANS_FILE, 'utf8'));
+            }
+        } catch (error) {
+            console.error('Error reading scan results:', error);
+        }
+        return {};
+    }
+
+    saveResults() {
+        const entries = Object.entries(this.results)
+            .sort((a, b) => Date.parse(b[1].scannedAt) - Date.parse(a[1].scannedAt))
+            .slice(0, MAX_RESULTS);
+        this.results = Object.fromEntries(entries);
+        try {
+            fs.mkdirSync(path.dirname(SCANS_FILE), { recursive: true });
+            fs.writeFileSync(SCANS_FILE, JSON.stringify(this.results, null, 2));
+        } catch (error) {
+            console.error('Error saving scan results:', error);
+        }
+    }
+
+    isEnabled() {
+        return SCANNER === 'trivy' || SCANNER === 'grype';
+    }
+
+    getConfig() {
+        return {
+            enabled: this.isEnabled(),
+            scanner: this.isEnabled() ? SCANNER : null,
+            offline: SCAN_OFFLINE,
+            policy: POLICIES.includes(SCAN_POLICY) ? SCAN_POLICY : 'block',
+            severity: SEVERITIES.includes(SCAN_SEVERITY) ? SCAN_SEVERITY : 'CRITICAL'
+        };
+    }
+
+    // Policy for a container: its containerpulse.scan label, else SCAN_POLICY; off without a scanner
+    getPolicy(labels = {}) {
+        if (!this.isEnabled()) {
+            return 'off';
+        }
+        const label = String(labels?.[SCAN_POLICY_LABEL] || '').toLowerCase();
+        return POLICIES.includes(label) ? label : this.getConfig().policy;
+    }
+
+    isAtThreshold(severity) {
+        return SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(this.getConfig().severity);
+    }
+
+    getKey(hostId, imageId) {
+        return `${hostService.isLocal(hostId) ? 'local' : hostId}/${imageId}`;
+    }
+
+    // Latest scan of an image, or null when it has not been scanned
+    getResult(hostId, imageId) {
+        return (imageId && this.results[this.getKey(hostId, imageId)]) || null;
+    }
+
+    // Severity counts of the latest scan, without the findings
+    getSummary(hostId, imageId) {
+        const result = this.getResult(hostId, imageId);
+        if (!result) {
+            return null;
+        }
+        const { findings, ...summary } = result;
+        return summary;
+    }
+
+    // The scanner reads images from the local Docker daemon
+    assertCanScan(hostId) {
+        if (!this.isEnabled()) {
+            throw new Error('No vulnerability scanner is configured (set SCANNER to trivy or grype)');
+        }
+        if (!hostService.isLocal(hostId)) {
+            throw new Error('Vulnerability scans run on the local Docker host only');
+        }
+    }
+
+    // Scan an image by ID; reference names it for the scanner (a repo digest or tag pointing at the
+    // same image). Results are reused unless refresh is set or the severity threshold changed.
+    async scanImage(hostId, imageId, reference, { refresh = false } = {}) {
+        this.assertCanScan(hostId);
+
+        const key = this.getKey(hostId, imageId);
+        const cached = this.results[key];
+        if (cached && !refresh && cached.threshold === this.getConfig().severity) {
+            return cached;
+        }
+        if (this.running.has(key)) {
+            return this.running.get(key);
+        }
+
+        const scan = this.runScan(reference || imageId)
+            .then((vulnerabilities) => {
+                const result = this.summarize(imageId, reference, vulnerabilities);
+                this.results[key] = result;
+                this.saveResults();
+                return result;
+            })
+            .finally(() => this.running.delete(key));
+        this.running.set(key, scan);
+        return scan;
+    }
+
+    // Counts by severity, plus the findings at or above the threshold that updates are compared on
+    summarize(imageId, reference, vulnerabilities) {
+        const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+        vulnerabilities.forEach(vulnerability => counts[vulnerability.severity]++);
+        const threshold = this.getConfig().severity;
+
+        return {
+            imageId,
+            reference,
+            scanner: SCANNER,
+            scannedAt: new Date().toISOString(),
+            counts,
+            total: vulnerabilities.length,
+            threshold,
+            findings: vulnerabilities
+                .filter(vulnerability => this.isAtThreshold(vulnerability.severity))
+                .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || String(a.id).localeCompare(String(b.id)))
+        };
+    }
+
+    async runScan(reference) {
+        const { args, env } = SCANNER === 'trivy' ? this.getTrivyCommand(reference) : this.getGrypeCommand(reference);
+        console.log(`Scanning ${reference} with ${SCANNER}`);
+
+        const output = await new Promise((resolve, reject) => {
+            execFile(SCANNER_PATH, args, {
+                timeout: SCAN_TIMEOUT,
+                maxBuffer: 256 * 1024 * 1024,
+                env: { ...process.env, ...env }
+            }, (error, stdout, stderr) => {
+                if (error) {
+                    const reason = error.killed ? `timed out after ${SCAN_TIMEOUT / 1000}s` : (stderr.trim().split('\n').pop() || error.message);
+                    return reject(new Error(`${SCANNER} scan of ${reference} failed: ${reason}`));
+                }
+                resolve(stdout);
+            });
+        });
+
+        try {
+            const report = JSON.parse(output);
+            return SCANNER === 'trivy' ? this.parseTrivy(report) : this.parseGrype(report);
+        } catch (error) {
+            console.error(`Error reading ${SCANNER} report for ${reference}:`, error);
+            throw new Error(`${SCANNER} returned an unreadable report for ${reference}`);
+        }
+    }
+
+    getTrivyCommand(reference) {
+        const args = ['image', '--quiet', '--format', 'json', '--scanners', 'vuln', '--image-src', 'docker'];
+        if (SCAN_OFFLINE) {
+            args.push('--skip-db-update', '--skip-java-db-update', '--offline-scan');
+        }
+        if (SCAN_CACHE_DIR) {
+            args.push('--cache-dir', SCAN_CACHE_DIR);
+        }
+        args.push(reference);
+        return { args, env: {} };
+    }
+
+    getGrypeCommand(reference) {
+        const env = { GRYPE_CHECK_FOR_APP_UPDATE: 'false' };
+        if (SCAN_OFFLINE) {
+            env.GRYPE_DB_AUTO_UPDATE = 'false';
+        }
+        if (SCAN_CACHE_DIR) {
+            env.GRYPE_DB_CACHE_DIR = SCAN_CACHE_DIR;
+        }
+        return { args: [`docker:${reference}`, '--output', 'json', '--quiet'], env };
+    }
+
+    normalizeSeverity(severity) {
+        const value = String(severity || '').toUpperCase();
+        if (value === 'NEGLIGIBLE') {
+            return 'LOW';
+        }
+        return SEVERITIES.includes(value) ? value : 'UNKNOWN';
+    }
+
+    parseTrivy(report) {
+        return (report.Results || []).flatMap(target => (target.Vulnerabilities || []).map(vulnerability => ({
+            id: vulnerability.VulnerabilityID,
+            severity: this.normalizeSeverity(vulnerability.Severity),
+            package: vulnerability.PkgName,
+            version: vulnerability.InstalledVersion || null,
+            fixedVersion: vulnerability.FixedVersion || null
+        })));
+    }
+
+    parseGrype(report) {
+        return (report.matches || []).map(match => ({
+            id: match.vulnerability?.id,
+            severity: this.normalizeSeverity(match.vulnerability?.severity),
+            package: match.artifact?.name,
+            version: match.artifact?.version || null,
+            fixedVersion: match.vulnerability?.fix?.versions?.[0] || null
+        }));
+    }
+
+    // Scan the current and candidate images of an update and report the findings at or above the
+    // threshold that only the candidate has. Remote hosts are reported as skipped.
+    async compareImages(hostId, current, candidate) {
+        if (!hostService.isLocal(hostId)) {
+            return { skipped: true, message: 'Vulnerability scans run on the local Docker host only' };
+        }
+
+        const currentScan = await this.scanImage(hostId, current.id, current.reference);
+        const candidateScan = await this.scanImage(hostId, candidate.id, candidate.reference);
+        const known = new Set(currentScan.findings.map(finding => `${finding.id} ${finding.package}`));
+        const introduced = candidateScan.findings.filter(finding => !known.has(`${finding.id} ${finding.package}`));
+        const threshold = candidateScan.threshold.toLowerCase();
+
+        return {
+            scanner: SCANNER,
+            threshold: candidateScan.threshold,
+            current: { imageId: current.id, counts: currentScan.counts, total: currentScan.total },
+            candidate: { imageId: candidate.id, counts: candidateScan.counts, total: candidateScan.total },
+            introduced,
+            regression: introduced.length > 0,
+            message: introduced.length > 0
+                ? `New image adds ${introduced.length} vulnerabilities rated ${threshold} or higher (${introduced.slice(0, 5).map(finding => finding.id).join(', ')}${introduced.length > 5 ? ', ...' : ''})`
+                : `No new vulnerabilities rated ${threshold} or higher`
+        };
+    }
+}
+
+module.exports = new ScanService();
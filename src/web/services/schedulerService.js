@@ -0,0 +1,510 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cronParser = require('cron-parser');
+const dockerService = require('./dockerService');
+const hostService = require('./hostService');
+const composeService = require('./composeService');
+const historyService = require('./historyService');
+const notificationService = require('./notificationService');
+const imageService = require('./imageService');
+
+const SCHEDULE_FILE = process.env.SCHEDULE_FILE || '/var/lib/containerpulse/schedule.json';
+const BACKUP_DIR = process.env.BACKUP_DIR || '/var/lib/containerpulse/backups';
+const SCHEDULE_LABEL = 'containerpulse.schedule';
+const TICK_INTERVAL = 60 * 1000;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Translate the legacy UPDATE_INTERVAL (seconds) into an equivalent cron expression
+function intervalToCron(seconds) {
+    const minutes = Math.max(Math.round(seconds / 60), 1);
+    if (minutes < 60) {
+        return `*/${minutes} * * * *`;
+    }
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) {
+        return `0 */${hours} * * *`;
+    }
+    return '0 4 * * *';
+}
+
+const DEFAULT_SETTINGS = {
+    schedule: process.env.UPDATE_SCHEDULE || intervalToCron(parseInt(process.env.UPDATE_INTERVAL, 10) || 86400),
+    timezone: process.env.TZ || 'UTC',
+    maintenanceWindows: [],
+    paused: false,
+    pausedContainers: [],
+    skipNext: []
+};
+
+// Runs update checks and auto-updates inside the web server on cron schedules
+class SchedulerService {
+    constructor() {
+        this.settings = this.loadSettings();
+        this.lastTick = new Date();
+        this.lastRuns = {};
+        // Tag and digest of the last update-available notification per container key
+        this.notifiedUpdates = {};
+        // Keys of containers whose update waits for the next maintenance window
+        this.deferred = new Set();
+        this.running = false;
+        this.unreachableHosts = new Set();
+        this.timer = null;
+    }
+
+    loadSettings() {
+        try {
+            if (fs.existsSync(SCHEDULE_FILE)) {
+                return { ...DEFAULT_SETTINGS, ...JSON.parse(fs.readFileSync(SCHEDULE_FILE, 'utf8')) };
+            }
+        } catch (error) {
+            console.error('Error reading schedule settings:', error);
+        }
+        return { ...DEFAULT_SETTINGS };
+    }
+
+    saveSettings() {
+        fs.mkdirSync(path.dirname(SCHEDULE_FILE), { recursive: true });
+        fs.writeFileSync(SCHEDULE_FILE, JSON.stringify(this.settings, null, 2));
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        console.log(`Scheduler started (schedule: ${this.settings.schedule}, timezone: ${this.settings.timezone})`);
+        this.lastTick = new Date();
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Validate and apply new settings from PUT /api/schedule
+    updateSettings(changes) {
+        const settings = { ...this.settings };
+
+        for (const key of ['schedule', 'timezone', 'maintenanceWindows', 'paused', 'pausedContainers', 'skipNext']) {
+            if (changes[key] !== undefined) {
+                settings[key] = changes[key];
+            }
+        }
+
+        this.assertTimezone(settings.timezone);
+        this.getNextRun(settings.schedule, settings.timezone);
+        if (!Array.isArray(settings.maintenanceWindows) ||
+            !Array.isArray(settings.pausedContainers) ||
+            !Array.isArray(settings.skipNext)) {
+            throw new Error('maintenanceWindows, pausedContainers and skipNext must be arrays');
+        }
+        settings.maintenanceWindows.forEach(window => this.parseWindow(window, settings.timezone));
+        settings.paused = Boolean(settings.paused);
+
+        this.settings = settings;
+        this.saveSettings();
+        return this.settings;
+    }
+
+    // Next run time of a cron expression after a given date; throws on invalid expressions
+    getNextRun(expression, timezone, after = new Date()) {
+        try {
+            return cronParser.parseExpression(expression, { currentDate: after, tz: timezone }).next().toDate();
+        } catch (error) {
+            throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+        }
+    }
+
+    assertTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            throw new Error(`Invalid timezone "${timezone}"`);
+        }
+    }
+
+    // Parse windows such as "Sun 02:00-04:00 Europe/Berlin", "Mon-Fri 22:00-01:00" or "03:00-05:00"
+    parseWindow(window, defaultTimezone = this.settings.timezone) {
+        const match = /^(?:([a-z]{3}(?:-[a-z]{3})?(?:,[a-z]{3}(?:-[a-z]{3})?)*)\s+)?(\d{1,2}):(\d{2})\s*[-–]\s*(\d{1,2}):(\d{2})(?:\s+(\S+))?$/i
+            .exec(String(window).trim());
+        if (!match) {
+            throw new Error(`Invalid maintenance window "${window}" (expected e.g. "Sun 02:00-04:00 Europe/Berlin")`);
+        }
+
+        const [, dayList, startHour, startMinute, endHour, endMinute, timezone] = match;
+        const days = new Set();
+        if (dayList) {
+            for (const part of dayList.toLowerCase().split(',')) {
+                const [from, to = from] = part.split('-').map(day => WEEKDAYS.indexOf(day));
+                if (from === -1 || to === -1) {
+                    throw new Error(`Invalid day in maintenance window "${window}"`);
+                }
+                for (let day = from; ; day = (day + 1) % 7) {
+                    days.add(day);
+                    if (day === to) break;
+                }
+            }
+        } else {
+            WEEKDAYS.forEach((day, index) => days.add(index));
+        }
+
+        const tz = timezone || defaultTimezone;
+        this.assertTimezone(tz);
+
+        return {
+            days,
+            start: parseInt(startHour, 10) * 60 + parseInt(startMinute, 10),
+            end: parseInt(endHour, 10) * 60 + parseInt(endMinute, 10),
+            timezone: tz
+        };
+    }
+
+    // Day of week and minute of day for a date in the given timezone
+    getLocalTime(date, timezone) {
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                weekday: 'short',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }).formatToParts(date).map(part => [part.type, part.value])
+        );
+        return {
+            day: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+            minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+        };
+    }
+
+    // Auto-updates are allowed anytime unless maintenance windows are configured
+    isInMaintenanceWindow(date = new Date()) {
+        if (this.settings.maintenanceWindows.length === 0) {
+            return true;
+        }
+
+        return this.settings.maintenanceWindows.some(windowSpec => {
+            const window = this.parseWindow(windowSpec);
+            const { day, minutes } = this.getLocalTime(date, window.timezone);
+
+            if (window.start < window.end) {
+                return window.days.has(day) && minutes >= window.start && minutes < window.end;
+            }
+            // Windows crossing midnight belong to the day they start on
+            const previousDay = (day + 6) % 7;
+            return (window.days.has(day) && minutes >= window.start) ||
+                (window.days.has(previousDay) && minutes < window.end);
+        });
+    }
+
+    getContainerSchedule(labels = {}) {
+        const label = labels[SCHEDULE_LABEL];
+        return label ? { schedule: label, source: 'label' } : { schedule: this.settings.schedule, source: 'global' };
+    }
+
+    // Paused and skipped containers are kept by name; on remote hosts the name is prefixed with the host id
+    getContainerKey(hostId, name) {
+        return hostService.isLocal(hostId) ? name : `${hostId}/${name}`;
+    }
+
+    // Containers the scheduler is responsible for on every enabled host: running, labelled and
+    // not ContainerPulse itself. Hosts that cannot be listed are returned in unreachable.
+    async getScheduledContainers() {
+        const selfId = os.hostname();
+        const results = await Promise.all(dockerService.getHostServices().map(async (service) => {
+            try {
+                const containers = await service.listContainers();
+                return containers
+                    .filter(container => service.hasAutoUpdateLabel(container.Labels))
+                    .filter(container => !(hostService.isLocal(service.host.id) && container.Id.startsWith(selfId)))
+                    .map(container => {
+                        const name = container.Names[0].replace(/^\//, '');
+                        return {
+                            id: container.Id,
+                            name,
+                            key: this.getContainerKey(service.host.id, name),
+                            host: service.host.id,
+                            hostName: service.host.name,
+                            labels: container.Labels
+                        };
+                    });
+            } catch (error) {
+                return { host: service.host, error };
+            }
+        }));
+
+        return {
+            containers: results.filter(Array.isArray).flat(),
+            unreachable: results.filter(result => !Array.isArray(result))
+        };
+    }
+
+    // Notify each host outage once, not on every tick
+    reportUnreachableHosts(unreachable) {
+        for (const { host, error } of unreachable) {
+            if (!this.unreachableHosts.has(host.id)) {
+                console.error(`Docker host ${host.name} is unreachable:`, error.message);
+                notificationService.notify('docker-unreachable', { dockerHost: host.name, error: error.message });
+            }
+        }
+        this.unreachableHosts = new Set(unreachable.map(({ host }) => host.id));
+    }
+
+    // Schedule status for GET /api/schedule and the dashboard
+    async getStatus() {
+        // Schedule settings stay editable while Docker hosts are unreachable
+        let containers = [];
+        try {
+            ({ containers } = await this.getScheduledContainers());
+        } catch (error) {
+            console.error('Error listing scheduled containers:', error.message);
+        }
+
+        return {
+            ...this.settings,
+            running: this.running,
+            inMaintenanceWindow: this.isInMaintenanceWindow(),
+            nextRun: this.safeNextRun(this.settings.schedule),
+            containers: containers.map(container => {
+                const { schedule, source } = this.getContainerSchedule(container.labels);
+                return {
+                    name: container.name,
+                    key: container.key,
+                    host: container.host,
+                    hostName: container.hostName,
+                    schedule,
+                    source,
+                    nextRun: this.safeNextRun(schedule),
+                    paused: this.settings.pausedContainers.includes(container.key),
+                    skipNext: this.settings.skipNext.includes(container.key),
+                    deferred: this.deferred.has(container.key),
+                    lastRun: this.lastRuns[container.key] || null
+                };
+            })
+        };
+    }
+
+    safeNextRun(schedule) {
+        try {
+            return this.getNextRun(schedule, this.settings.timezone).toISOString();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async tick() {
+        const now = new Date();
+        imageService.runIfDue(now, this.settings.timezone);
+
+        // The cursor stays put while a run is in progress, so schedules that come due meanwhile are
+        // evaluated by the next tick; runs that come due while the scheduler is paused are dropped
+        if (this.running) {
+            return;
+        }
+        const since = this.lastTick;
+        this.lastTick = now;
+        if (this.settings.paused) {
+            return;
+        }
+
+        this.running = true;
+        try {
+            const { containers, unreachable } = await this.getScheduledContainers();
+            this.reportUnreachableHosts(unreachable);
+
+            // Services of a compose project run after the services they depend on. Updates deferred
+            // outside the maintenance windows run as soon as a window opens, whatever their schedule.
+            const inWindow = this.isInMaintenanceWindow(now);
+            const due = composeService.orderContainers(containers.filter(container => {
+                if (inWindow && this.deferred.has(container.key)) {
+                    return true;
+                }
+                const { schedule } = this.getContainerSchedule(container.labels);
+                try {
+                    return this.getNextRun(schedule, this.settings.timezone, since) <= now;
+                } catch (error) {
+                    console.warn(`Skipping ${container.name}: ${error.message}`);
+                    return false;
+                }
+            }));
+
+            for (const container of due) {
+                if (this.settings.pausedContainers.includes(container.key)) {
+                    continue;
+                }
+                if (this.settings.skipNext.includes(container.key)) {
+                    console.log(`Skipping scheduled run for ${container.key} as requested`);
+                    this.updateSettings({ skipNext: this.settings.skipNext.filter(key => key !== container.key) });
+                    continue;
+                }
+                await this.runContainer(container);
+            }
+        } catch (error) {
+            console.error('Scheduled update run failed:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Check one container and update it if allowed
+    async runContainer(container) {
+        const checkStarted = Date.now();
+        const lastRun = { at: new Date().toISOString(), outcome: 'up-to-date' };
+        this.lastRuns[container.key] = lastRun;
+        this.deferred.delete(container.key);
+        const docker = dockerService.forHost(container.host);
+
+        let check;
+        try {
+            check = await docker.checkForUpdates(container.id);
+            historyService.record({
+                action: 'update-check',
+                container: container.name,
+                host: container.host,
+                trigger: 'scheduler',
+                outcome: check.updateAvailable ? 'update-available' : 'up-to-date',
+                oldImage: { id: check.currentImageId, digest: check.currentDigest },
+                newImage: { digest: check.latestDigest },
+                durationMs: Date.now() - checkStarted,
+                message: check.message
+            });
+        } catch (error) {
+            lastRun.outcome = 'check-failed';
+            historyService.record({
+                action: 'update-check',
+                container: container.name,
+                host: container.host,
+                trigger: 'scheduler',
+                outcome: 'failure',
+                durationMs: Date.now() - checkStarted,
+                message: error.message
+            });
+            return;
+        }
+
+        if (!check.updateAvailable) {
+            delete this.notifiedUpdates[container.key];
+            return;
+        }
+
+        if (check.updateApproach === 'notify') {
+            lastRun.outcome = 'notified';
+            await this.notifyUpdateAvailable(container, check);
+            return;
+        }
+
+        if (!this.isInMaintenanceWindow()) {
+            lastRun.outcome = 'deferred';
+            this.deferred.add(container.key);
+            console.log(`Update for ${container.key} deferred until the next maintenance window`);
+            await this.notifyUpdateAvailable(container, check);
+            return;
+        }
+
+        await this.backupContainer(container);
+
+        try {
+            const result = await docker.updateContainer(container.name, { automatic: true });
+            historyService.recordUpdate(result, 'scheduler');
+            lastRun.outcome = result.updated ? 'updated' : 'up-to-date';
+            await notificationService.notifyUpdate(container.name, result);
+
+            // The retention policy keeps recent versions, so the previous image stays available for a rollback
+            if (result.updated && process.env.CLEANUP_OLD_IMAGES === 'true') {
+                await imageService.cleanup({ hostId: container.host, trigger: 'scheduler' });
+            }
+        } catch (error) {
+            historyService.recordUpdate(error.result, 'scheduler');
+            if (error.result?.blocked) {
+                lastRun.outcome = 'blocked';
+            } else {
+                lastRun.outcome = error.result?.rolledBack ? 'rolled-back' : 'update-failed';
+            }
+            await notificationService.notifyUpdate(container.name, error.result, error);
+        }
+    }
+
+    // Keep the container configuration from before an automatic update
+    async backupContainer(container) {
+        try {
+            const containerInfo = await dockerService.forHost(container.host).inspectContainer(container.id);
+            const backupDir = path.join(BACKUP_DIR, container.key);
+            const timestamp = new Date().toISOString().replace(/\D/g, '').substring(0, 14);
+            fs.mkdirSync(backupDir, { recursive: true });
+            fs.writeFileSync(path.join(backupDir, `pre-update-${timestamp}.json`), JSON.stringify(containerInfo, null, 2));
+        } catch (error) {
+            console.warn(`Could not back up ${container.key} before updating: ${error.message}`);
+        }
+    }
+
+    // Schedule settings that keep the scheduler from updating a container automatically
+    getUpdateBlocks(hostId, name) {
+        const key = this.getContainerKey(hostId, name);
+        const blocks = [];
+        if (this.settings.pausedContainers.includes(key)) {
+            blocks.push('Scheduled runs are paused');
+        }
+        if (this.settings.skipNext.includes(key)) {
+            blocks.push('The next scheduled run is skipped');
+        }
+        if (!this.isInMaintenanceWindow()) {
+            blocks.push('Outside the maintenance windows: the update waits for a run inside one');
+        }
+        return blocks;
+    }
+
+    // Dry run of the update flow for containers by name on one host, or for every labelled container
+    // on one or all enabled hosts; nothing is pulled or changed
+    async planUpdates(hostId = null, names = []) {
+        const services = hostId || names.length > 0 ? [dockerService.forHost(hostId)] : dockerService.getHostServices();
+        const plans = (await Promise.all(services.map(service => service.planUpdates(names).catch(error => [{
+            host: service.host.id,
+            hostName: service.host.name,
+            error: error.message
+        }])))).flat();
+
+        for (const plan of plans.filter(entry => !entry.error)) {
+            plan.blockedBy.push(...this.getUpdateBlocks(plan.host, plan.container));
+            plan.wouldUpdate = plan.updateAvailable && plan.blockedBy.length === 0;
+        }
+
+        return {
+            plannedAt: new Date().toISOString(),
+            summary: {
+                containers: plans.length,
+                updatesAvailable: plans.filter(plan => plan.updateAvailable).length,
+                wouldUpdate: plans.filter(plan => plan.wouldUpdate).length,
+                blocked: plans.filter(plan => plan.updateAvailable && !plan.wouldUpdate).length,
+                errors: plans.filter(plan => plan.error).length,
+                downloadBytes: plans.filter(plan => plan.wouldUpdate).reduce((sum, plan) => sum + plan.download.downloadBytes, 0)
+            },
+            plans
+        };
+    }
+
+    // Notify a pending update once; later checks only notify again when a newer tag or digest shows up
+    async notifyUpdateAvailable(container, check) {
+        const version = `${check.tagUpdate?.availableTag || ''}@${check.latestDigest || ''}`;
+        if (this.notifiedUpdates[container.key] === version) {
+            return;
+        }
+        await notificationService.notify('update-available', this.getCheckDetails(container, check));
+        this.notifiedUpdates[container.key] = version;
+    }
+
+    // Template values for an update-available notification
+    getCheckDetails(container, check) {
+        return {
+            container: container.name,
+            dockerHost: container.hostName,
+            image: check.tagUpdate?.availableImage || check.currentImage,
+            currentDigest: check.currentDigest,
+            latestDigest: check.latestDigest,
+            currentTag: check.tagUpdate?.currentTag,
+            availableTag: check.tagUpdate?.availableTag
+        };
+    }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,219 @@
+const eventService = require('./eventService');
+
+// Seconds between samples of every running container; 0 turns sampling off
+const STATS_INTERVAL = process.env.STATS_INTERVAL === undefined ? 15 : (parseInt(process.env.STATS_INTERVAL, 10) || 0);
+// Seconds of samples kept per container
+const STATS_RETENTION = parseInt(process.env.STATS_RETENTION, 10) || 3600;
+// Usage before and after an update is compared over up to this many seconds on either side
+const COMPARE_WINDOW = 600;
+// Samples sent to the dashboard for the card sparklines
+const SPARKLINE_POINTS = 40;
+
+// Fixed-size buffer that overwrites its oldest entry once full
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = [];
+        this.start = 0;
+    }
+
+    push(item) {
+        if (this.items.length < this.capacity) {
+            this.items.push(item);
+        } else {
+            this.items[this.start] = item;
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    last() {
+        return this.items.length === 0 ? null : this.items[(this.start + this.items.length - 1) % this.items.length];
+    }
+
+    toArray() {
+        return this.items.slice(this.start).concat(this.items.slice(0, this.start));
+    }
+}
+
+// Short-term resource usage of running containers. Samples are kept in memory by host and
+// container name, so a container's history continues across the recreation an update does.
+class StatsService {
+    constructor() {
+        // { samples: RingBuffer, updates: [{ time, oldImageId, newImageId }], lastSeen } by "host/container"
+        this.series = new Map();
+        this.timer = null;
+        this.sampling = false;
+        // Hosts whose last round failed, so an outage is logged once
+        this.failingHosts = new Set();
+    }
+
+    isEnabled() {
+        return STATS_INTERVAL > 0;
+    }
+
+    getConfig() {
+        return { enabled: this.isEnabled(), interval: STATS_INTERVAL, retention: STATS_RETENTION };
+    }
+
+    getKey(hostId, containerName) {
+        return `${hostId}/${containerName}`;
+    }
+
+    // Sample the Docker hosts returned by getServices every STATS_INTERVAL seconds
+    start(getServices) {
+        if (!this.isEnabled() || this.timer) {
+            return;
+        }
+        console.log(`Sampling container resource usage every ${STATS_INTERVAL}s`);
+        this.timer = setInterval(() => this.sampleAll(getServices()), STATS_INTERVAL * 1000);
+        this.timer.unref();
+        this.sampleAll(getServices());
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // One round over all hosts; a round still running when the next one is due is not overlapped
+    async sampleAll(services) {
+        if (this.sampling) {
+            return;
+        }
+        this.sampling = true;
+        try {
+            await Promise.all(services.map(async (service) => {
+                try {
+                    const samples = await service.sampleStats();
+                    const latest = samples.map(({ containerName, ...sample }) => ({
+                        container: containerName,
+                        ...this.addSample(service.host.id, containerName, sample)
+                    }));
+                    eventService.publish('stats', { host: service.host.id, samples: latest });
+                    this.failingHosts.delete(service.host.id);
+                } catch (error) {
+                    if (!this.failingHosts.has(service.host.id)) {
+                        console.warn(`Could not sample container stats on ${service.host.name}: ${error.message}`);
+                        this.failingHosts.add(service.host.id);
+                    }
+                }
+            }));
+            this.prune();
+        } finally {
+            this.sampling = false;
+        }
+    }
+
+    // Store a sample and fill in the I/O rates from the previous sample of the same container
+    addSample(hostId, containerName, sample) {
+        const key = this.getKey(hostId, containerName);
+        if (!this.series.has(key)) {
+            const capacity = Math.max(1, Math.ceil(STATS_RETENTION / Math.max(STATS_INTERVAL, 1)));
+            this.series.set(key, { samples: new RingBuffer(capacity), updates: [] });
+        }
+        const series = this.series.get(key);
+        const previous = series.samples.last();
+
+        // Counters start again from zero in a new container
+        const elapsed = previous && previous.containerId === sample.containerId ? (Date.parse(sample.time) - Date.parse(previous.time)) / 1000 : 0;
+        const rate = (field) => (elapsed > 0 ? Math.max(0, (sample[field] - previous[field]) / elapsed) : null);
+        const entry = {
+            ...sample,
+            networkRxRate: rate('networkRx'),
+            networkTxRate: rate('networkTx'),
+            blockReadRate: rate('blockRead'),
+            blockWriteRate: rate('blockWrite')
+        };
+
+        series.samples.push(entry);
+        series.lastSeen = Date.now();
+        return entry;
+    }
+
+    // Forget containers that have not been sampled for longer than the retention period
+    prune() {
+        const cutoff = Date.now() - STATS_RETENTION * 1000;
+        for (const [key, series] of this.series) {
+            series.updates = series.updates.filter(update => Date.parse(update.time) >= cutoff);
+            if (series.lastSeen < cutoff) {
+                this.series.delete(key);
+            }
+        }
+    }
+
+    // Remember when an update replaced a container's image, from dockerService.updateContainer's result
+    recordUpdate(result) {
+        const series = this.series.get(this.getKey(result.host, result.containerName));
+        if (!series || !result.success || !result.updated) {
+            return;
+        }
+        series.updates.push({ time: result.finishedAt, oldImageId: result.oldImageId, newImageId: result.newImageId });
+    }
+
+    // Samples of a container, oldest first, with the usage before and after each recent update
+    getStats(hostId, containerName) {
+        const series = this.series.get(this.getKey(hostId, containerName));
+        const samples = series ? series.samples.toArray() : [];
+        return {
+            container: containerName,
+            host: hostId,
+            interval: STATS_INTERVAL,
+            retention: STATS_RETENTION,
+            samples,
+            updates: (series ? series.updates : []).map(update => ({ ...update, ...this.compareUpdate(samples, update) }))
+        };
+    }
+
+    // Average usage over the same length of time on both sides of an update; the window shrinks
+    // when the update is recent, and after is null until the new container has been sampled
+    compareUpdate(samples, update) {
+        const updatedAt = Date.parse(update.time);
+        const window = Math.min(COMPARE_WINDOW * 1000, Date.now() - updatedAt);
+        const average = (from, to) => {
+            const inWindow = samples.filter(sample => {
+                const time = Date.parse(sample.time);
+                return time >= from && time < to;
+            });
+            return inWindow.length > 0 ? this.averageSamples(inWindow) : null;
+        };
+
+        return {
+            windowSeconds: Math.round(window / 1000),
+            before: average(updatedAt - window, updatedAt),
+            after: average(updatedAt, updatedAt + window + 1)
+        };
+    }
+
+    averageSamples(samples) {
+        const average = (field) => {
+            const values = samples.map(sample => sample[field]).filter(value => value !== null && value !== undefined);
+            return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        };
+        return {
+            samples: samples.length,
+            cpuPercent: average('cpuPercent'),
+            memoryUsage: average('memoryUsage'),
+            networkRxRate: average('networkRxRate'),
+            networkTxRate: average('networkTxRate'),
+            blockReadRate: average('blockReadRate'),
+            blockWriteRate: average('blockWriteRate'),
+            pids: average('pids')
+        };
+    }
+
+    // Latest sample and the recent CPU and memory values for a dashboard card, or null
+    getSparkline(hostId, containerName) {
+        const series = this.series.get(this.getKey(hostId, containerName));
+        if (!series) {
+            return null;
+        }
+        const recent = series.samples.toArray().slice(-SPARKLINE_POINTS);
+        return {
+            latest: recent[recent.length - 1],
+            cpu: recent.map(sample => sample.cpuPercent),
+            memory: recent.map(sample => sample.memoryUsage)
+        };
+    }
+}
+
+module.exports = new StatsService();
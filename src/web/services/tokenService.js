@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const authService = require('./authService');
+
+const TOKENS_FILE = process.env.TOKENS_FILE || '/var/lib/containerpulse/tokens.json';
+const TOKEN_PREFIX = 'cpat_';
+// Last-used times are recorded at most this often per token, to keep writes down
+const LAST_USED_INTERVAL = 60 * 1000;
+
+// Token scopes and the role whose permissions each grants; a token never exceeds its user's role
+const SCOPES = {
+    read: 'viewer',
+    update: 'operator',
+    admin: 'admin'
+};
+
+// Personal API tokens, accepted as "Authorization: Bearer" on API routes. Only a SHA-256 hash of
+// each token is stored; the token itself is shown once when it is created.
+class TokenService {
+    constructor() {
+        this.tokens = this.loadTokens();
+    }
+
+    loadTokens() {
+        try {
+            if (fs.existsSync(TOKENS_FILE)) {
+                return JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'));
+            }
+        } catch (error) {
+            console.error('Error reading API tokens:', error);
+        }
+        return [];
+    }
+
+    saveTokens() {
+        fs.mkdirSync(path.dirname(TOKENS_FILE), { recursive: true });
+        fs.writeFileSync(TOKENS_FILE, JSON.stringify(this.tokens, null, 2), { mode: 0o600 });
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Scopes a user may give their tokens
+    getScopes(user) {
+        const roles = authService.getRoles();
+        return Object.keys(SCOPES).filter(scope => roles.indexOf(SCOPES[scope]) <= roles.indexOf(user.role));
+    }
+
+    // Token without its hash
+    toPublicToken(token) {
+        const { tokenHash, ...publicToken } = token;
+        return publicToken;
+    }
+
+    listTokens(userId) {
+        return this.tokens
+            .filter(token => token.userId === userId)
+            .map(token => this.toPublicToken(token));
+    }
+
+    createToken(user, { name, scope = 'read', containers = [] }) {
+        name = String(name || '').trim();
+        if (!name) {
+            throw new Error('Token name is required');
+        }
+        if (!SCOPES[scope]) {
+            throw new Error(`Unknown token scope: ${scope}`);
+        }
+        if (!this.getScopes(user).includes(scope)) {
+            throw new Error(`Your role does not allow tokens with the ${scope} scope`);
+        }
+        const containerNames = (Array.isArray(containers) ? containers : String(containers).split(','))
+            .map(container => String(container).trim().replace(/^\//, ''))
+            .filter(Boolean);
+
+        const secret = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const token = {
+            id: crypto.randomUUID(),
+            userId: user.id,
+            name,
+            scope,
+            containers: [...new Set(containerNames)],
+            prefix: secret.substring(0, TOKEN_PREFIX.length + 6),
+            tokenHash: this.hashToken(secret),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+
+        this.tokens.push(token);
+        this.saveTokens();
+
+        return { ...this.toPublicToken(token), token: secret };
+    }
+
+    // Revoke a token; users revoke their own, userId null revokes any
+    revokeToken(id, userId) {
+        const index = this.tokens.findIndex(token => token.id === id && (userId === null || token.userId === userId));
+        if (index === -1) {
+            throw new Error('API token not found');
+        }
+        this.tokens.splice(index, 1);
+        this.saveTokens();
+        return true;
+    }
+
+    revokeUserTokens(userId) {
+        const remaining = this.tokens.filter(token => token.userId !== userId);
+        if (remaining.length !== this.tokens.length) {
+            this.tokens = remaining;
+            this.saveTokens();
+        }
+    }
+
+    // The token's user and the token itself, or null for unknown tokens and deleted users
+    authenticate(secret) {
+        if (!secret || !secret.startsWith(TOKEN_PREFIX)) {
+            return null;
+        }
+        const tokenHash = this.hashToken(secret);
+        const token = this.tokens.find(entry => crypto.timingSafeEqual(Buffer.from(entry.tokenHash), Buffer.from(tokenHash)));
+        const user = token && authService.getUser(token.userId);
+        if (!user) {
+            return null;
+        }
+
+        const now = Date.now();
+        if (!token.lastUsedAt || now - Date.parse(token.lastUsedAt) > LAST_USED_INTERVAL) {
+            token.lastUsedAt = new Date(now).toISOString();
+            try {
+                this.saveTokens();
+            } catch (error) {
+                console.error('Error saving API token usage:', error);
+            }
+        }
+
+        return { user, token: this.toPublicToken(token) };
+    }
+
+    // Whether the token's scope grants a permission; the user's own role is checked separately
+    allows(token, permission) {
+        return authService.hasPermission({ role: SCOPES[token.scope] }, permission);
+    }
+
+    // Tokens without a container list may address every container
+    allowsContainer(token, containerName) {
+        return token.containers.length === 0 || token.containers.includes(containerName);
+    }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,124 @@
+const registryService = require('./registryService');
+
+const SEMVER_LABEL = 'containerpulse.semver';
+const INCLUDE_LABEL = 'containerpulse.semver.include';
+const EXCLUDE_LABEL = 'containerpulse.semver.exclude';
+const POLICIES = ['patch', 'minor', 'major'];
+
+// Semantic-version tag tracking: finds newer tags allowed by a container's semver policy label
+class VersionService {
+    // Read the tag policy from container labels, or null when the container does not opt in
+    getPolicy(labels = {}) {
+        const level = labels?.[SEMVER_LABEL];
+        if (!level) {
+            return null;
+        }
+        if (!POLICIES.includes(level)) {
+            throw new Error(`Invalid ${SEMVER_LABEL} label "${level}" (expected ${POLICIES.join(', ')})`);
+        }
+
+        return {
+            level,
+            include: labels[INCLUDE_LABEL] ? new RegExp(labels[INCLUDE_LABEL]) : null,
+            exclude: labels[EXCLUDE_LABEL] ? new RegExp(labels[EXCLUDE_LABEL]) : null
+        };
+    }
+
+    // Parse tags such as "15.4", "v1.25.3" or "3.19.1-alpine" into comparable parts
+    parseVersion(tag) {
+        const match = /^(v?)(\d+)(?:\.(\d+))?(?:\.(\d+))?(.*)$/.exec(tag || '');
+        if (!match) {
+            return null;
+        }
+
+        const [, prefix, major, minor, patch, suffix] = match;
+        return {
+            tag,
+            prefix,
+            suffix,
+            precision: [major, minor, patch].filter(part => part !== undefined).length,
+            numbers: [major, minor, patch].map(part => parseInt(part || '0', 10))
+        };
+    }
+
+    compareVersions(a, b) {
+        for (let i = 0; i < 3; i++) {
+            if (a.numbers[i] !== b.numbers[i]) {
+                return a.numbers[i] - b.numbers[i];
+            }
+        }
+        return 0;
+    }
+
+    // Whether a candidate version is within the policy's reach of the current version
+    isAllowed(current, candidate, policy) {
+        // Only compare like with like: "15.4" never moves to "15" or "15.5-alpine"
+        if (candidate.prefix !== current.prefix ||
+            candidate.suffix !== current.suffix ||
+            candidate.precision !== current.precision) {
+            return false;
+        }
+
+        if (policy.level === 'patch' &&
+            (candidate.numbers[0] !== current.numbers[0] || candidate.numbers[1] !== current.numbers[1])) {
+            return false;
+        }
+        if (policy.level === 'minor' && candidate.numbers[0] !== current.numbers[0]) {
+            return false;
+        }
+
+        if (policy.include && !policy.include.test(candidate.tag)) {
+            return false;
+        }
+        if (policy.exclude && policy.exclude.test(candidate.tag)) {
+            return false;
+        }
+
+        return this.compareVersions(candidate, current) > 0;
+    }
+
+    // Pick the highest tag the policy allows, or null when the current tag is the newest
+    findLatestTag(currentTag, tags, policy) {
+        const current = this.parseVersion(currentTag);
+        if (!current) {
+            return null;
+        }
+
+        const candidates = tags
+            .map(tag => this.parseVersion(tag))
+            .filter(candidate => candidate && this.isAllowed(current, candidate, policy))
+            .sort((a, b) => this.compareVersions(b, a));
+
+        return candidates.length > 0 ? candidates[0].tag : null;
+    }
+
+    // Replace the tag of an image reference, keeping any registry host and port
+    withTag(image, tag) {
+        const withoutDigest = image.split('@')[0];
+        const lastSlash = withoutDigest.lastIndexOf('/');
+        const tagIndex = withoutDigest.lastIndexOf(':');
+        const repository = tagIndex > lastSlash ? withoutDigest.substring(0, tagIndex) : withoutDigest;
+        return `${repository}:${tag}`;
+    }
+
+    // Look up a newer tag for an image under the container's semver policy
+    async checkTagUpdate(image, labels) {
+        const policy = this.getPolicy(labels);
+        if (!policy) {
+            return null;
+        }
+
+        const currentTag = registryService.parseImageReference(image).tag;
+        const tags = await registryService.listTags(image);
+        const availableTag = this.findLatestTag(currentTag, tags, policy);
+
+        return {
+            policy: policy.level,
+            currentTag,
+            availableTag,
+            availableImage: availableTag ? this.withTag(image, availableTag) : null
+        };
+    }
+}
+
+module.exports = new VersionService();
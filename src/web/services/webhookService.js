@@ -1,10 +1,28 @@
+const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const historyService = require('./historyService');
+const registryService = require('./registryService');
+const metricsService = require('./metricsService');
+
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || '/var/lib/containerpulse/webhooks.json';
 
 class WebhookService {
     constructor() {
-        this.webhookSecret = process.env.WEBHOOK_SECRET || 'your-webhook-secret';
-        this.jwtSecret = process.env.JWT_SECRET || 'your-jwt-secret';
+        // The shared secret is not tied to a container; without WEBHOOK_SECRET the token and signature
+        // methods are turned off, and WEBHOOK_SECRET_CONTAINERS lists the containers they may update
+        // ("*" for every container, unset for none)
+        this.webhookSecret = process.env.WEBHOOK_SECRET || null;
+        this.secretContainers = (process.env.WEBHOOK_SECRET_CONTAINERS || '')
+            .split(',').map(name => name.trim()).filter(Boolean);
+        // Webhook URLs are signed with JWT_SECRET; without it none are minted or accepted
+        this.jwtSecret = process.env.JWT_SECRET || null;
+        if (!this.jwtSecret) {
+            console.warn('JWT_SECRET is not set: webhook URLs cannot be created or used');
+        }
+        // Strict mode, the default, refuses webhook calls without any authentication
+        this.strict = process.env.WEBHOOK_STRICT !== 'false';
     }
 
     // Middleware to authenticate webhook calls
@@ -12,45 +30,70 @@ class WebhookService {
         try {
             const authHeader = req.headers.authorization;
             const signature = req.headers['x-hub-signature-256'] || req.headers['x-signature'];
-            const webhookToken = req.headers['x-webhook-token'];
+            // GitLab sends the configured secret token as X-Gitlab-Token
+            const webhookToken = req.headers['x-webhook-token'] || req.headers['x-gitlab-token'];
             
-            // Method 1: Bearer token (JWT)
-            if (authHeader?.startsWith('Bearer ')) {
-                const token = authHeader.substring(7);
+            // Method 1: Container-scoped JWT, as a bearer token or in the query string of a minted webhook URL
+            const jwtToken = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : req.query.token;
+            if (jwtToken) {
+                if (!this.jwtSecret) {
+                    metricsService.recordWebhookCall('jwt', 'rejected');
+                    return res.status(401).json({ error: 'Webhook URLs are disabled because JWT_SECRET is not set' });
+                }
+                let decoded;
                 try {
-                    const decoded = jwt.verify(token, this.jwtSecret);
-                    req.webhookAuth = decoded;
-                    return next();
+                    decoded = jwt.verify(jwtToken, this.jwtSecret);
                 } catch (error) {
-                    console.error('JWT verification failed:', error);
+                    console.error('JWT verification failed:', error.message);
+                    metricsService.recordWebhookCall('jwt', 'rejected');
                     return res.status(401).json({ error: 'Invalid JWT token' });
                 }
+                const claimError = this.checkTokenClaims(decoded, req.params.containerName);
+                if (claimError) {
+                    metricsService.recordWebhookCall('jwt', 'rejected');
+                    return res.status(403).json({ error: claimError });
+                }
+                req.webhookAuth = { method: 'jwt', webhookId: decoded.jti, host: decoded.host, ip: req.ip };
+                return next();
             }
             
             // Method 2: Simple webhook token
             if (webhookToken) {
-                if (webhookToken === this.webhookSecret) {
-                    req.webhookAuth = { method: 'token' };
-                    return next();
-                } else {
+                if (!this.webhookSecret || !this.verifyToken(webhookToken, this.webhookSecret)) {
+                    metricsService.recordWebhookCall('token', 'rejected');
                     return res.status(401).json({ error: 'Invalid webhook token' });
                 }
+                const scopeError = this.checkSecretScope(req.params.containerName);
+                if (scopeError) {
+                    metricsService.recordWebhookCall('token', 'rejected');
+                    return res.status(403).json({ error: scopeError });
+                }
+                req.webhookAuth = { method: 'token', ip: req.ip };
+                return next();
             }
             
-            // Method 3: GitHub/GitLab style signature
+            // Method 3: GitHub/GitLab style signature over the raw request body
             if (signature) {
-                const body = JSON.stringify(req.body);
-                const isValid = this.verifySignature(signature, body, this.webhookSecret);
-                if (isValid) {
-                    req.webhookAuth = { method: 'signature' };
-                    return next();
-                } else {
+                const body = req.rawBody ? req.rawBody.toString('utf-8') : JSON.stringify(req.body);
+                if (!this.webhookSecret || !this.verifySignature(signature, body, this.webhookSecret)) {
+                    metricsService.recordWebhookCall('signature', 'rejected');
                     return res.status(401).json({ error: 'Invalid signature' });
                 }
+                const scopeError = this.checkSecretScope(req.params.containerName);
+                if (scopeError) {
+                    metricsService.recordWebhookCall('signature', 'rejected');
+                    return res.status(403).json({ error: scopeError });
+                }
+                req.webhookAuth = { method: 'signature', ip: req.ip };
+                return next();
             }
             
-            // Method 4: DockerHub style (no authentication, just log)
-            // Allow unauthenticated requests but log them
+            // Method 4: DockerHub style (no authentication, just log), unless strict mode is on
+            if (this.strict) {
+                console.log('Rejected unauthenticated webhook request from:', req.ip);
+                metricsService.recordWebhookCall('none', 'rejected');
+                return res.status(401).json({ error: 'Webhook authentication required' });
+            }
             console.log('Unauthenticated webhook request from:', req.ip);
             req.webhookAuth = { method: 'none', ip: req.ip };
             return next();
@@ -61,6 +104,47 @@ class WebhookService {
         }
     };
 
+    // Whether JWT_SECRET is set, so webhook URLs can be minted and used
+    isConfigured() {
+        return Boolean(this.jwtSecret);
+    }
+
+    // Why a verified JWT may not trigger this container, or null when it may
+    checkTokenClaims(decoded, containerName) {
+        if (decoded.purpose !== 'webhook') {
+            return 'Token is not a webhook token';
+        }
+        if (decoded.container !== containerName) {
+            return `Token is not valid for container ${containerName}`;
+        }
+        // Only minted webhook URLs are accepted: they carry the ID of their record and stop working once revoked
+        if (!decoded.jti) {
+            return 'Token does not belong to a webhook URL';
+        }
+        const webhook = this.loadWebhooks().find(entry => entry.id === decoded.jti);
+        if (!webhook) {
+            return 'Webhook URL has been revoked';
+        }
+        if (webhook.container !== decoded.container || (webhook.host || 'local') !== (decoded.host || 'local')) {
+            return 'Token does not match its webhook URL';
+        }
+        return null;
+    }
+
+    // Why the shared secret may not trigger this container, or null when it may
+    checkSecretScope(containerName) {
+        if (this.secretContainers.includes('*') || this.secretContainers.includes(containerName)) {
+            return null;
+        }
+        return `WEBHOOK_SECRET is not allowed to update container ${containerName}, see WEBHOOK_SECRET_CONTAINERS`;
+    }
+
+    // Compares hashes, so neither the length nor the contents of the secret leak through timing
+    verifyToken(token, secret) {
+        const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+        return crypto.timingSafeEqual(hash(token), hash(secret));
+    }
+
     verifySignature(signature, body, secret) {
         try {
             let expectedSignature;
@@ -89,26 +173,146 @@ class WebhookService {
         }
     }
 
-    generateWebhookToken(containerName, expiresIn = '30d') {
+    generateWebhookToken(containerName, expiresIn = '30d', { host, id } = {}) {
+        if (!this.jwtSecret) {
+            throw new Error('Set JWT_SECRET before creating webhook URLs');
+        }
         try {
             const payload = {
                 container: containerName,
                 purpose: 'webhook',
                 iat: Math.floor(Date.now() / 1000)
             };
+            if (host) {
+                payload.host = host;
+            }
             
-            return jwt.sign(payload, this.jwtSecret, { expiresIn });
+            return jwt.sign(payload, this.jwtSecret, { expiresIn, ...(id ? { jwtid: id } : {}) });
         } catch (error) {
             console.error('Token generation error:', error);
             throw error;
         }
     }
 
+    loadWebhooks() {
+        try {
+            if (fs.existsSync(WEBHOOKS_FILE)) {
+                return JSON.parse(fs.readFileSync(WEBHOOKS_FILE, 'utf8'));
+            }
+        } catch (error) {
+            console.error('Error reading webhooks:', error);
+        }
+        return [];
+    }
+
+    saveWebhooks(webhooks) {
+        fs.mkdirSync(path.dirname(WEBHOOKS_FILE), { recursive: true });
+        fs.writeFileSync(WEBHOOKS_FILE, JSON.stringify(webhooks, null, 2), { mode: 0o600 });
+    }
+
+    listWebhooks() {
+        return this.loadWebhooks();
+    }
+
+    // Mint a webhook URL token for one container; only its ID is stored, so the URL is shown once
+    createWebhook({ container, host = 'local', expiresInDays = 365 }, createdBy) {
+        container = String(container || '').trim().replace(/^\//, '');
+        if (!container) {
+            throw new Error('Container name is required');
+        }
+        const days = parseInt(expiresInDays, 10);
+        if (!(days > 0)) {
+            throw new Error('Expiry must be a positive number of days');
+        }
+
+        const webhook = {
+            id: crypto.randomUUID(),
+            container,
+            host,
+            createdBy,
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+            lastUsedAt: null
+        };
+        const token = this.generateWebhookToken(container, `${days}d`, { host, id: webhook.id });
+
+        const webhooks = this.loadWebhooks();
+        webhooks.push(webhook);
+        this.saveWebhooks(webhooks);
+
+        return { ...webhook, token };
+    }
+
+    revokeWebhook(id) {
+        const webhooks = this.loadWebhooks();
+        const remaining = webhooks.filter(webhook => webhook.id !== id);
+        if (remaining.length === webhooks.length) {
+            throw new Error('Webhook not found');
+        }
+        this.saveWebhooks(remaining);
+        return true;
+    }
+
+    markWebhookUsed(id) {
+        const webhooks = this.loadWebhooks();
+        const webhook = webhooks.find(entry => entry.id === id);
+        if (webhook) {
+            webhook.lastUsedAt = new Date().toISOString();
+            this.saveWebhooks(webhooks);
+        }
+    }
+
+    // Pushed repository and tag from the provider's payload; both are null when the payload names neither
+    parsePayload(req) {
+        const body = req.body || {};
+        if (req.headers['x-github-event']) {
+            return { provider: 'github', ...this.parseGitHubWebhook(body) };
+        }
+        if (req.headers['x-gitlab-event']) {
+            return { provider: 'gitlab', ...this.parseGitLabWebhook(body) };
+        }
+        if (body.push_data) {
+            return { provider: 'dockerhub', ...this.parseDockerHubWebhook(body) };
+        }
+        return {
+            provider: 'generic',
+            repository: typeof body.repository === 'string' ? body.repository : null,
+            tag: typeof body.tag === 'string' ? body.tag : null
+        };
+    }
+
+    // Why a push does not concern the container's image, or null when it does. The pushed repository may
+    // omit the registry and namespace ("nginx" matches docker.io/library/nginx); the tag is not compared
+    // for containers that follow newer tags through a containerpulse.semver policy. Only authenticated
+    // generic callers may leave out both; provider events without an image, such as GitHub's ping, are
+    // not pushes.
+    matchPush(push, image, labels = {}, { authenticated = true } = {}) {
+        // Unauthenticated callers must name the pushed repository, so they cannot update any container
+        if (!authenticated && !push.repository) {
+            return 'Unauthenticated webhook calls must name the pushed repository';
+        }
+        if (!push.repository && !push.tag) {
+            return push.provider === 'generic' ? null : `${push.provider} event is not a push event`;
+        }
+        const ref = registryService.parseImageReference(image);
+        if (push.repository) {
+            const pushed = push.repository.toLowerCase().replace(/^docker\.io\//, '');
+            const candidates = [ref.repository, `${ref.registry}/${ref.repository}`].map(name => name.toLowerCase());
+            if (!candidates.some(name => name === pushed || name.endsWith(`/${pushed}`))) {
+                return `Pushed repository ${push.repository} does not match image ${image}`;
+            }
+        }
+        if (push.tag && ref.tag && push.tag !== ref.tag && !labels['containerpulse.semver']) {
+            return `Pushed tag ${push.tag} does not match tag ${ref.tag} of image ${image}`;
+        }
+        return null;
+    }
+
     parseDockerHubWebhook(body) {
         try {
-            // DockerHub webhook format
+            // DockerHub webhook format; repo_name includes the namespace
             return {
-                repository: body.repository?.name,
+                repository: body.repository?.repo_name || body.repository?.name,
                 tag: body.push_data?.tag,
                 pushed_at: body.push_data?.pushed_at,
                 pusher: body.push_data?.pusher
@@ -121,10 +325,12 @@ class WebhookService {
 
     parseGitHubWebhook(body) {
         try {
-            // GitHub webhook format (for container registry)
+            // GitHub "package" and "registry_package" events for container images on ghcr.io
+            const pkg = body.package || body.registry_package;
+            const version = pkg?.package_version;
             return {
-                repository: body.repository?.name,
-                tag: body.package?.version,
+                repository: pkg?.name && `ghcr.io/${pkg.namespace || pkg.owner?.login || body.repository?.owner?.login}/${pkg.name}`,
+                tag: version?.container_metadata?.tag?.name || (typeof pkg?.version === 'string' ? pkg.version : undefined),
                 action: body.action,
                 sender: body.sender?.login
             };
@@ -136,9 +342,9 @@ class WebhookService {
 
     parseGitLabWebhook(body) {
         try {
-            // GitLab webhook format
+            // GitLab webhook format (tag push events)
             return {
-                repository: body.project?.name,
+                repository: body.project?.path_with_namespace || body.project?.name,
                 tag: body.ref?.replace('refs/tags/', ''),
                 action: body.event_name,
                 user: body.user_name
@@ -149,20 +355,30 @@ class WebhookService {
         }
     }
 
-    logWebhookCall(containerName, source, data, success) {
+    // outcome is "success", "failure" or "skipped" (the push did not match the container's image)
+    logWebhookCall(containerName, source, data, outcome) {
         const logEntry = {
             timestamp: new Date().toISOString(),
             container: containerName,
             source: source,
             data: data,
-            success: success,
+            outcome: outcome,
             ip: data.ip || 'unknown'
         };
         
         console.log('Webhook call:', JSON.stringify(logEntry, null, 2));
+        metricsService.recordWebhookCall(source, outcome);
         
-        // In a production environment, you might want to store this in a database
-        // or write to a specific log file
+        historyService.record({
+            action: 'webhook',
+            container: containerName,
+            host: data.host || null,
+            trigger: 'webhook',
+            actor: logEntry.ip,
+            outcome,
+            message: data.message || data.error || null,
+            details: { source, ...data }
+        });
     }
 }
 
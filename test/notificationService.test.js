@@ -0,0 +1,179 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'containerpulse-notifications-'));
+process.env.NOTIFICATIONS_FILE = path.join(tmpDir, 'notifications.json');
+process.env.CREDENTIALS_SECRET = 'test-secret';
+delete process.env.EMAIL_ENABLED;
+
+const notificationService = require('../src/web/services/notificationService');
+
+// Records every request as { path, headers, body }
+const startHttpServer = () => new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ path: req.url, headers: req.headers, body });
+            res.end('ok');
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+});
+
+// Just enough SMTP to accept one message per session, without TLS or authentication
+const startSmtpSink = () => new Promise((resolve) => {
+    const messages = [];
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let data = null;
+        let envelope = { from: null, to: [] };
+        socket.write('220 sink ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.substring(0, index);
+                buffer = buffer.substring(index + 2);
+                if (data !== null) {
+                    if (line === '.') {
+                        messages.push({ ...envelope, data: data.join('\r\n') });
+                        envelope = { from: null, to: [] };
+                        data = null;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        data.push(line.replace(/^\.\./, '.'));
+                    }
+                    continue;
+                }
+                const command = line.substring(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250 sink\r\n');
+                } else if (command === 'MAIL') {
+                    envelope.from = line.match(/<([^>]*)>/)[1];
+                    socket.write('250 OK\r\n');
+                } else if (command === 'RCPT') {
+                    envelope.to.push(line.match(/<([^>]*)>/)[1]);
+                    socket.write('250 OK\r\n');
+                } else if (command === 'DATA') {
+                    data = [];
+                    socket.write('354 go ahead\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+});
+
+describe('notificationService providers', () => {
+    let receiver;
+    let smtp;
+    let results;
+
+    before(async () => {
+        receiver = await startHttpServer();
+        smtp = await startSmtpSink();
+
+        const channels = [
+            { type: 'slack', config: { webhookUrl: `${receiver.url}/slack` } },
+            { type: 'discord', config: { webhookUrl: `${receiver.url}/discord` } },
+            { type: 'teams', config: { webhookUrl: `${receiver.url}/teams` } },
+            { type: 'gotify', config: { url: `${receiver.url}/gotify/`, token: 'gotify-token' } },
+            { type: 'ntfy', config: { url: receiver.url, topic: 'updates', token: 'ntfy-token' } },
+            { type: 'webhook', config: { url: `${receiver.url}/generic`, headers: '{"X-Api-Key": "secret"}' } },
+            { type: 'smtp', config: { host: '127.0.0.1', port: String(smtp.port), from: 'pulse@example.com', to: 'admin@example.com' } }
+        ];
+        for (const channel of channels) {
+            notificationService.saveChannel({ name: channel.type, events: ['update-failed'], ...channel });
+        }
+        // Routed to another event, so it must not receive anything
+        notificationService.saveChannel({ name: 'other', type: 'slack', events: ['updated'], config: { webhookUrl: `${receiver.url}/other` } });
+
+        results = await notificationService.notify('update-failed', { container: 'web', image: 'nginx:1.27', error: 'pull failed' });
+    });
+
+    after(() => {
+        receiver.server.close();
+        smtp.server.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const received = (requestPath) => receiver.requests.find(request => request.path === requestPath);
+
+    it('delivers to every channel routed to the event', () => {
+        assert.equal(results.length, 7);
+        assert.ok(results.every(result => result.success), JSON.stringify(results));
+        assert.equal(received('/other'), undefined);
+    });
+
+    it('posts Slack text with the title in bold', () => {
+        assert.deepEqual(JSON.parse(received('/slack').body), {
+            text: '*Update of web failed*\nUpdating web (nginx:1.27) failed: pull failed'
+        });
+    });
+
+    it('posts a Discord embed coloured by severity', () => {
+        assert.deepEqual(JSON.parse(received('/discord').body), {
+            username: 'ContainerPulse',
+            embeds: [{ title: 'Update of web failed', description: 'Updating web (nginx:1.27) failed: pull failed', color: 0xDC2626 }]
+        });
+    });
+
+    it('posts a Teams MessageCard', () => {
+        const card = JSON.parse(received('/teams').body);
+        assert.equal(card['@type'], 'MessageCard');
+        assert.equal(card.title, 'Update of web failed');
+        assert.equal(card.summary, 'Update of web failed');
+        assert.equal(card.themeColor, 'dc2626');
+    });
+
+    it('posts a Gotify message with the application token', () => {
+        const request = received('/gotify/message');
+        assert.equal(request.headers['x-gotify-key'], 'gotify-token');
+        assert.deepEqual(JSON.parse(request.body), {
+            title: 'Update of web failed',
+            message: 'Updating web (nginx:1.27) failed: pull failed',
+            priority: 8
+        });
+    });
+
+    it('publishes to the ntfy topic with title, priority and token headers', () => {
+        const request = received('/updates');
+        assert.equal(request.body, 'Updating web (nginx:1.27) failed: pull failed');
+        assert.equal(request.headers.title, 'Update of web failed');
+        assert.equal(request.headers.priority, '5');
+        assert.equal(request.headers.tags, 'error');
+        assert.equal(request.headers.authorization, 'Bearer ntfy-token');
+    });
+
+    it('posts the generic JSON payload with the configured headers', () => {
+        const request = received('/generic');
+        const payload = JSON.parse(request.body);
+        assert.equal(request.headers['x-api-key'], 'secret');
+        assert.equal(payload.event, 'update-failed');
+        assert.equal(payload.severity, 'error');
+        assert.equal(payload.title, 'Update of web failed');
+        assert.equal(payload.message, 'Updating web (nginx:1.27) failed: pull failed');
+        assert.deepEqual(payload.data, { container: 'web', image: 'nginx:1.27', error: 'pull failed' });
+        assert.ok(payload.host && payload.timestamp);
+    });
+
+    it('sends an email through SMTP', () => {
+        assert.equal(smtp.messages.length, 1);
+        const [message] = smtp.messages;
+        assert.equal(message.from, 'pulse@example.com');
+        assert.deepEqual(message.to, ['admin@example.com']);
+        assert.match(message.data, /^Subject: ContainerPulse: Update of web failed$/m);
+        assert.match(message.data, /Updating web \(nginx:1\.27\) failed: pull failed/);
+    });
+});
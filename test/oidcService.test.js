@@ -0,0 +1,178 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const CLIENT_ID = 'containerpulse';
+const REDIRECT_URI = 'http://localhost:3000/auth/oidc/callback';
+
+const base64url = (buffer) => buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+// Minimal OpenID provider: discovery, JWKS, a token endpoint that checks PKCE and userinfo with groups.
+// authorize() stands in for the login page and returns the code it would redirect back with.
+const startProvider = () => new Promise((resolve) => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const codes = new Map();
+    const provider = { codes, userinfo: {} };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, provider.issuer);
+        const json = (status, body) => {
+            res.statusCode = status;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(body));
+        };
+
+        if (url.pathname === '/.well-known/openid-configuration') {
+            return json(200, {
+                issuer: provider.issuer,
+                authorization_endpoint: `${provider.issuer}/authorize`,
+                token_endpoint: `${provider.issuer}/token`,
+                userinfo_endpoint: `${provider.issuer}/userinfo`,
+                jwks_uri: `${provider.issuer}/jwks`
+            });
+        }
+        if (url.pathname === '/jwks') {
+            return json(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' }] });
+        }
+        if (url.pathname === '/userinfo') {
+            return json(req.headers.authorization === 'Bearer access-token' ? 200 : 401, provider.userinfo);
+        }
+        if (url.pathname === '/token' && req.method === 'POST') {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const params = new URLSearchParams(body);
+                const grant = codes.get(params.get('code'));
+                codes.delete(params.get('code'));
+                const challenge = base64url(crypto.createHash('sha256').update(params.get('code_verifier') || '').digest());
+                if (!grant || grant.challenge !== challenge || params.get('redirect_uri') !== grant.redirectUri) {
+                    return json(400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+                }
+                const idToken = jwt.sign({ nonce: grant.nonce, ...grant.claims }, privateKey, {
+                    algorithm: 'RS256',
+                    keyid: 'test-key',
+                    issuer: provider.issuer,
+                    audience: CLIENT_ID,
+                    subject: grant.subject,
+                    expiresIn: 300
+                });
+                json(200, { access_token: 'access-token', token_type: 'Bearer', id_token: idToken });
+            });
+            return;
+        }
+        json(404, { error: 'not_found' });
+    });
+
+    provider.authorize = (authorizationUrl, { subject, claims = {}, nonce } = {}) => {
+        const params = new URL(authorizationUrl).searchParams;
+        const code = base64url(crypto.randomBytes(8));
+        codes.set(code, {
+            challenge: params.get('code_challenge'),
+            redirectUri: params.get('redirect_uri'),
+            nonce: nonce || params.get('nonce'),
+            subject,
+            claims
+        });
+        return code;
+    };
+
+    server.listen(0, '127.0.0.1', () => {
+        provider.issuer = `http://127.0.0.1:${server.address().port}`;
+        provider.server = server;
+        resolve(provider);
+    });
+});
+
+describe('oidcService', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'containerpulse-oidc-'));
+    let provider;
+    let oidcService;
+    let authService;
+
+    before(async () => {
+        provider = await startProvider();
+        // The service reads its configuration when it is loaded
+        Object.assign(process.env, {
+            USERS_FILE: path.join(tmpDir, 'users.json'),
+            OIDC_ISSUER: provider.issuer,
+            OIDC_CLIENT_ID: CLIENT_ID,
+            OIDC_ROLE_CLAIM: 'groups',
+            OIDC_ROLE_MAPPING: 'cp-admins=admin,cp-ops=operator',
+            OIDC_DEFAULT_ROLE: 'viewer',
+            OIDC_AUTO_PROVISION: 'true'
+        });
+        oidcService = require('../src/web/services/oidcService');
+        authService = require('../src/web/services/authService');
+    });
+
+    after(() => {
+        provider.server.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('builds the authorization request from the discovery document with PKCE', async () => {
+        const { url, pending } = await oidcService.createAuthorizationRequest(REDIRECT_URI);
+        const authorizationUrl = new URL(url);
+        const params = authorizationUrl.searchParams;
+
+        assert.equal(`${authorizationUrl.origin}${authorizationUrl.pathname}`, `${provider.issuer}/authorize`);
+        assert.equal(params.get('response_type'), 'code');
+        assert.equal(params.get('client_id'), CLIENT_ID);
+        assert.equal(params.get('redirect_uri'), REDIRECT_URI);
+        assert.equal(params.get('state'), pending.state);
+        assert.equal(params.get('nonce'), pending.nonce);
+        assert.equal(params.get('code_challenge_method'), 'S256');
+        assert.equal(params.get('code_challenge'), base64url(crypto.createHash('sha256').update(pending.codeVerifier).digest()));
+    });
+
+    it('signs in a new user with the role mapped from the userinfo groups', async () => {
+        provider.userinfo = { groups: ['staff', 'cp-ops'] };
+        const { url, pending } = await oidcService.createAuthorizationRequest(REDIRECT_URI);
+        const code = provider.authorize(url, { subject: 'user-1', claims: { preferred_username: 'alice' } });
+
+        const user = await oidcService.login({ code, state: pending.state }, pending);
+
+        assert.equal(user.username, 'alice');
+        assert.equal(user.role, 'operator');
+        assert.deepEqual(authService.users.find(entry => entry.username === 'alice').oidc, { issuer: provider.issuer, subject: 'user-1' });
+    });
+
+    it('rejects a callback whose state does not match the login request', async () => {
+        const { url, pending } = await oidcService.createAuthorizationRequest(REDIRECT_URI);
+        const code = provider.authorize(url, { subject: 'user-2', claims: { preferred_username: 'bob' } });
+
+        await assert.rejects(oidcService.login({ code, state: 'forged-state' }, pending), /request expired/);
+        await assert.rejects(oidcService.login({ code, state: pending.state }, null), /request expired/);
+        assert.equal(provider.codes.has(code), true, 'the code must not be redeemed');
+    });
+
+    it('rejects an ID token whose nonce does not match the login request', async () => {
+        const { url, pending } = await oidcService.createAuthorizationRequest(REDIRECT_URI);
+        const code = provider.authorize(url, { subject: 'user-3', claims: { preferred_username: 'carol' }, nonce: 'replayed-nonce' });
+
+        await assert.rejects(oidcService.login({ code, state: pending.state }, pending), /nonce does not match/);
+        assert.equal(authService.users.some(entry => entry.username === 'carol'), false);
+    });
+
+    it('fails the token exchange when the code verifier does not match the challenge', async () => {
+        const { url, pending } = await oidcService.createAuthorizationRequest(REDIRECT_URI);
+        const code = provider.authorize(url, { subject: 'user-4', claims: { preferred_username: 'dave' } });
+
+        await assert.rejects(
+            oidcService.login({ code, state: pending.state }, { ...pending, codeVerifier: 'wrong-verifier' }),
+            /Token request failed: PKCE verification failed/
+        );
+    });
+
+    it('maps the highest matching group to a role and falls back to the default role', () => {
+        assert.equal(oidcService.getRole({ groups: ['cp-ops', 'cp-admins'] }), 'admin');
+        assert.equal(oidcService.getRole({ groups: 'cp-ops staff' }), 'operator');
+        assert.equal(oidcService.getRole({ groups: ['staff'] }), 'viewer');
+        assert.equal(oidcService.getRole({}), 'viewer');
+    });
+});
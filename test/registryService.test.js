@@ -0,0 +1,132 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Keep credential lookups away from the real Docker config and credentials file
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'containerpulse-registry-'));
+process.env.CREDENTIALS_FILE = path.join(tmpDir, 'registry-credentials.json');
+process.env.CREDENTIALS_SECRET = 'test-secret';
+process.env.DOCKER_CONFIG = tmpDir;
+
+const registryService = require('../src/web/services/registryService');
+
+const LIST_DIGEST = 'sha256:1111111111111111111111111111111111111111111111111111111111111111';
+const AMD64_DIGEST = 'sha256:2222222222222222222222222222222222222222222222222222222222222222';
+const ARM64_DIGEST = 'sha256:3333333333333333333333333333333333333333333333333333333333333333';
+const ARM64_CONFIG = 'sha256:4444444444444444444444444444444444444444444444444444444444444444';
+
+const manifestList = {
+    schemaVersion: 2,
+    mediaType: 'application/vnd.docker.distribution.manifest.list.v2+json',
+    manifests: [
+        { digest: AMD64_DIGEST, platform: { os: 'linux', architecture: 'amd64' } },
+        { digest: ARM64_DIGEST, platform: { os: 'linux', architecture: 'arm64', variant: 'v8' } }
+    ]
+};
+
+const imageManifest = (configDigest) => ({
+    schemaVersion: 2,
+    mediaType: 'application/vnd.docker.distribution.manifest.v2+json',
+    config: { digest: configDigest },
+    layers: []
+});
+
+// A registry that answers every /v2 request without a token with a Bearer challenge, like Docker Hub
+const startRegistry = () => new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://registry');
+        requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), authorization: req.headers.authorization });
+
+        if (url.pathname === '/token') {
+            res.setHeader('Content-Type', 'application/json');
+            return res.end(JSON.stringify({ token: 'test-token', expires_in: 300 }));
+        }
+        if (req.headers.authorization !== 'Bearer test-token') {
+            res.statusCode = 401;
+            res.setHeader('WWW-Authenticate', `Bearer realm="http://localhost:${server.address().port}/token",service="test-registry"`);
+            return res.end();
+        }
+
+        const manifests = {
+            '/v2/team/app/manifests/1.0': { body: manifestList, digest: LIST_DIGEST },
+            [`/v2/team/app/manifests/${LIST_DIGEST}`]: { body: manifestList, digest: LIST_DIGEST },
+            [`/v2/team/app/manifests/${AMD64_DIGEST}`]: { body: imageManifest('sha256:amd64-config'), digest: AMD64_DIGEST },
+            [`/v2/team/app/manifests/${ARM64_DIGEST}`]: { body: imageManifest(ARM64_CONFIG), digest: ARM64_DIGEST }
+        };
+        const manifest = manifests[url.pathname];
+        if (!manifest) {
+            res.statusCode = 404;
+            return res.end();
+        }
+        res.setHeader('Content-Type', manifest.body.mediaType);
+        res.setHeader('Docker-Content-Digest', manifest.digest);
+        res.end(req.method === 'HEAD' ? undefined : JSON.stringify(manifest.body));
+    });
+    server.listen(0, () => resolve({ server, requests, image: `localhost:${server.address().port}/team/app:1.0` }));
+});
+
+describe('registryService.checkImage', () => {
+    let registry;
+    const arm64 = { os: 'linux', architecture: 'arm64', variant: 'v8' };
+
+    before(async () => {
+        registry = await startRegistry();
+    });
+
+    after(() => {
+        registry.server.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        registry.requests.length = 0;
+        registryService.clearTokens();
+    });
+
+    it('answers the Bearer challenge with a token for the repository and reuses it', async () => {
+        await registryService.checkImage(registry.image, { RepoDigests: [] }, arm64);
+
+        const tokenRequests = registry.requests.filter(request => request.path === '/token');
+        assert.equal(tokenRequests.length, 1);
+        assert.deepEqual(tokenRequests[0].query, { service: 'test-registry', scope: 'repository:team/app:pull' });
+
+        const manifestRequests = registry.requests.filter(request => request.path.startsWith('/v2/'));
+        assert.equal(manifestRequests[0].authorization, undefined);
+        assert.ok(manifestRequests.slice(1).every(request => request.authorization === 'Bearer test-token'));
+    });
+
+    it('resolves a manifest list to the manifest of the host platform', async () => {
+        const result = await registryService.checkImage(registry.image, { Id: 'sha256:old', RepoDigests: [] }, arm64);
+
+        assert.equal(result.remoteDigest, LIST_DIGEST);
+        assert.equal(result.platformDigest, ARM64_DIGEST);
+        assert.equal(result.updateAvailable, true);
+        assert.equal(registry.requests.find(request => request.method === 'HEAD').path, '/v2/team/app/manifests/1.0');
+    });
+
+    it('reports no update when RepoDigests holds the manifest list digest', async () => {
+        const result = await registryService.checkImage(registry.image, { RepoDigests: [`localhost/team/app@${LIST_DIGEST}`] }, arm64);
+
+        assert.equal(result.updateAvailable, false);
+        assert.equal(result.platformDigest, null);
+    });
+
+    it('reports no update when RepoDigests holds the platform digest or the image is the platform config', async () => {
+        const byDigest = await registryService.checkImage(registry.image, { RepoDigests: [`localhost/team/app@${ARM64_DIGEST}`] }, arm64);
+        assert.equal(byDigest.updateAvailable, false);
+
+        const byConfig = await registryService.checkImage(registry.image, { Id: ARM64_CONFIG, RepoDigests: [] }, arm64);
+        assert.equal(byConfig.updateAvailable, false);
+    });
+
+    it('reports an update when the local digests belong to another platform', async () => {
+        const result = await registryService.checkImage(registry.image, { RepoDigests: [`localhost/team/app@${AMD64_DIGEST}`] }, arm64);
+
+        assert.equal(result.platformDigest, ARM64_DIGEST);
+        assert.equal(result.updateAvailable, true);
+    });
+});